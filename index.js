@@ -9,6 +9,7 @@
  * Implementation:
  * - Modular architecture with dedicated services
  * - Event-driven command processing
+ * - Non-interactive batch mode driven by CLI flags, with exit codes and JSON summary
  * - Consistent error handling and progress tracking
  * - Stateful repository and feature management
  * 
@@ -18,62 +19,259 @@
  * - feature-service: Feature processing and consolidation
  * - progress-service: Progress tracking and display
  * - git-analyzer: LLM-based diff analysis
+ * - llm-service: Pluggable LLM client (Ollama, OpenAI-compatible)
  * - git-service: Git operations wrapper
  * - project-analyzer: Project type detection
+ * - cache-service: Persistent analysis cache
+ * - changelog-service: Changelog generation from tag ranges
+ * - pr-service: Pull request description generation
+ * - filter-service: Include/exclude rules for source files
+ * - config-service: Layered configuration (global, repository, CLI, session)
+ * - prompt-service: Prompt templates and style presets
+ * - checkpoint-service: Saved progress of /commit, /range, /branch and /tag runs for /resume
+ * - export-service: Feature export formats (Markdown, JSON, HTML, CSV)
+ * - report-service: Self-contained HTML timeline report
+ * - scope-service: Path scopes restricting analysis to monorepo packages
+ * - ask-service: Multi-turn questions about the analyzed history with citations
+ * - search-service: On-disk embedding index of features and ranges for /search
  */
 
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { setLanguage, toggleStreaming } from './services/ollama.js';
-import { getTagDiffs, getCommitDiffs } from './services/git-service.js';
+import { setLanguage, toggleStreaming, setProvider, getProviderInfo } from './services/llm-service.js';
+import {
+  getTagDiffs,
+  getCommitDiffs,
+  getRangeDiff,
+  getHeadCommit,
+  resolveRange,
+  resolveDateRange,
+  getTimeBucketDiffs,
+  getDefaultBaseBranch,
+  TIME_BUCKETS
+} from './services/git-service.js';
 import { 
   HELP_MESSAGE, 
+  USAGE_MESSAGE,
+  parseArgs,
   promptForInput, 
   displayError,
   displaySuccess,
-  displayWarning
+  displayWarning,
+  displayInfo,
+  formatOutput,
+  COLORS
 } from './services/cli-service.js';
 import { repoService } from './services/repo-service.js';
 import { featureService } from './services/feature-service.js';
 import { progressService } from './services/progress-service.js';
+import { cacheService } from './services/cache-service.js';
+import { changelogService } from './services/changelog-service.js';
+import { pullRequestService } from './services/pr-service.js';
+import { filterService, IGNORE_FILE } from './services/filter-service.js';
+import { configService, CONFIG, CONFIG_FILE, getGlobalConfigPath } from './services/config-service.js';
+import { promptService } from './services/prompt-service.js';
+import { checkpointService } from './services/checkpoint-service.js';
+import { EXPORT_FORMATS } from './services/export-service.js';
+import { reportService } from './services/report-service.js';
+import { scopeService } from './services/scope-service.js';
+import { askService } from './services/ask-service.js';
+import { searchService } from './services/search-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-async function handleCommitCommand(args) {
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  INTERRUPTED: 130
+};
+
+// Command handlers return a result object on success and null on failure,
+// so batch mode can report each step and pick the exit code
+
+const COMMIT_USAGE = 'Usage: /commit [n] [--by day|week|month|quarter] [--since <date>] [--until <date>]';
+
+// Returns {groupSize, by, since, until}, or null after warning about invalid input
+function parseCommitArgs(args) {
+  const options = { groupSize: null, by: null, since: null, until: null };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const key = { '--by': 'by', '--since': 'since', '--until': 'until' }[args[i]];
+    if (!key) {
+      positional.push(args[i]);
+      continue;
+    }
+    if (!args[i + 1]) {
+      displayWarning(COMMIT_USAGE);
+      return null;
+    }
+    options[key] = args[++i];
+  }
+
+  if (options.by && !TIME_BUCKETS.includes(options.by.toLowerCase())) {
+    displayWarning(`Unknown time bucket '${options.by}'. Available: ${TIME_BUCKETS.join(', ')}`);
+    return null;
+  }
+  if (options.by && positional.length > 0) {
+    displayWarning(`Use either a group size or --by. ${COMMIT_USAGE}`);
+    return null;
+  }
+  options.by = options.by?.toLowerCase() || null;
+
+  options.groupSize = parseGroupSize(positional[0]);
+  if (!options.groupSize) {
+    displayWarning('Please provide a valid positive number for group size.');
+    return null;
+  }
+  return options;
+}
+
+// Resume: checkpoint of an interrupted run with the same arguments (see /resume)
+async function handleCommitCommand(args, resume = null) {
   const state = repoService.getState();
   if (!state.repoPath) {
     displayWarning('No repository selected. Use /repo to select a repository.');
-    return;
+    return null;
   }
 
-  const groupSize = args.length > 0 ? parseInt(args[0]) : Number.MAX_SAFE_INTEGER;
-  if (isNaN(groupSize) || groupSize <= 0) {
-    displayWarning('Please provide a valid positive number for group size.');
-    return;
+  const options = parseCommitArgs(args);
+  if (!options) {
+    return null;
   }
+  const { groupSize, by, since, until } = options;
 
   try {
     const git = repoService.getGit();
-    const diffs = await getCommitDiffs(git, state.projectType, groupSize, 
-      (progress) => progressService.updateProgress(progress, state.totalCommits, 'Analyzing commits'));
+    let range = null;
+    if (since || until) {
+      range = await resolveDateRange(git, since, until);
+      if (!range) {
+        displayWarning(`No commits${since ? ` since ${since}` : ''}${until ? ` until ${until}` : ''}`);
+        return { diffs: 0, features: 0 };
+      }
+      displayInfo(`Analyzing ${range.count} commits${since ? ` since ${since}` : ''}${until ? ` until ${until}` : ''}`);
+    }
+
+    const diffs = by
+      ? await getTimeBucketDiffs(git, state.projectType, by,
+        (done, total) => progressService.updateProgress(done, total, `Analyzing ${by}s`), range)
+      : await getCommitDiffs(git, state.projectType, groupSize,
+        (progress) => progressService.updateProgress(progress, range ? range.count : repoService.getCommitCount(), 'Analyzing commits'),
+        range);
     
-    await featureService.processDiffs(diffs, 'commit');
-    repoService.updateLastRun('commit', groupSize);
+    await featureService.processDiffs(diffs, 'commit', { run: { command: 'commit', args, scopes: scopeService.getPaths() }, resume });
+    repoService.updateLastRun('commit', options);
     
     if (diffs.length === 0) {
       displayWarning('No differences found');
     }
+    return { diffs: diffs.length, features: featureService.allFeatures.length };
   } catch (error) {
     displayError(`Error processing commit groups: ${error.message}`);
+    return null;
   }
 }
 
-async function handleTagCommand(args) {
+// Defaults to a single group when no size is given; null for invalid input
+function parseGroupSize(value) {
+  if (value === undefined) return Number.MAX_SAFE_INTEGER;
+  const groupSize = parseInt(value);
+  return isNaN(groupSize) || groupSize <= 0 ? null : groupSize;
+}
+
+// Run: {command, args} of the /range or /branch call, checkpointed for /resume
+async function analyzeRange(fromRef, toRef, groupSize, run, resume = null) {
+  const state = repoService.getState();
+
+  try {
+    const git = repoService.getGit();
+    const range = await resolveRange(git, fromRef, toRef);
+    if (range.count === 0) {
+      displayWarning(`No commits in ${fromRef}..${toRef}`);
+      return { diffs: 0, features: 0, base: range.base };
+    }
+
+    displayInfo(`Analyzing ${range.count} commits from merge base ${range.base.substring(0, 7)} to ${toRef}`);
+    const diffs = await getCommitDiffs(git, state.projectType, groupSize,
+      (progress) => progressService.updateProgress(progress, Math.ceil(range.count / Math.min(groupSize, range.count)), 'Analyzing commits'),
+      range);
+
+    await featureService.processDiffs(diffs, 'commit', { run: { ...run, scopes: scopeService.getPaths() }, resume });
+    repoService.updateLastRun(run.command, { from: fromRef, to: toRef, groupSize });
+
+    if (diffs.length === 0) {
+      displayWarning('No differences found');
+    }
+    return { diffs: diffs.length, features: featureService.allFeatures.length, base: range.base };
+  } catch (error) {
+    displayError(`Error processing range ${fromRef}..${toRef}: ${error.message}`);
+    return null;
+  }
+}
+
+async function handleRangeCommand(args, resume = null) {
   const state = repoService.getState();
   if (!state.repoPath) {
     displayWarning('No repository selected. Use /repo to select a repository.');
-    return;
+    return null;
+  }
+
+  const [spec, size] = args.filter(Boolean);
+  const [fromRef, toRef] = (spec || '').split(/\.{2,3}/);
+  if (!fromRef) {
+    displayWarning('Please provide a range, e.g. /range main..feature [n]');
+    return null;
+  }
+
+  const groupSize = parseGroupSize(size);
+  if (!groupSize) {
+    displayWarning('Please provide a valid positive number for group size.');
+    return null;
+  }
+
+  return analyzeRange(fromRef, toRef || 'HEAD', groupSize, { command: 'range', args }, resume);
+}
+
+async function handleBranchCommand(args, resume = null) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const baseIndex = args.indexOf('--base');
+  const baseRef = baseIndex === -1 ? null : args[baseIndex + 1];
+  const [branch, size] = args.filter((arg, i) =>
+    arg && (baseIndex === -1 || (i !== baseIndex && i !== baseIndex + 1)));
+
+  if (!branch || (baseIndex !== -1 && !baseRef)) {
+    displayWarning('Usage: /branch <name> [n] [--base <branch>]');
+    return null;
+  }
+
+  const groupSize = parseGroupSize(size);
+  if (!groupSize) {
+    displayWarning('Please provide a valid positive number for group size.');
+    return null;
+  }
+
+  try {
+    const base = baseRef || await getDefaultBaseBranch(repoService.getGit());
+    return analyzeRange(base, branch, groupSize, { command: 'branch', args }, resume);
+  } catch (error) {
+    displayError(error.message);
+    return null;
+  }
+}
+
+async function handleTagCommand(args, resume = null) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
   }
 
   try {
@@ -81,66 +279,513 @@ async function handleTagCommand(args) {
     const fromTag = args[0] || null;
     const diffs = await getTagDiffs(git, state.projectType, fromTag);
     
-    await featureService.processDiffs(diffs, 'tag');
+    await featureService.processDiffs(diffs, 'tag', { run: { command: 'tag', args, scopes: scopeService.getPaths() }, resume });
     repoService.updateLastRun('tag', fromTag);
     
     if (diffs.length === 0) {
       displayWarning('No differences found');
     }
+    return { diffs: diffs.length, features: featureService.allFeatures.length };
   } catch (error) {
     displayError(`Error processing tags: ${error.message}`);
+    return null;
+  }
+}
+
+const RESUMABLE_HANDLERS = {
+  commit: handleCommitCommand,
+  range: handleRangeCommand,
+  branch: handleBranchCommand,
+  tag: handleTagCommand
+};
+
+async function handleResumeCommand() {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const checkpoint = await checkpointService.load();
+  if (!checkpoint || !RESUMABLE_HANDLERS[checkpoint.command]) {
+    displayWarning('No interrupted /commit, /range, /branch or /tag run to resume.');
+    return null;
+  }
+
+  // Ranges of the checkpoint were diffed within the scopes active when the run started
+  const scopes = checkpoint.scopes || [];
+  if (scopes.join('\n') !== scopeService.getPaths().join('\n')) {
+    try {
+      await repoService.setScopes(scopes);
+    } catch (error) {
+      displayError(`Cannot restore the scopes of the interrupted run: ${error.message}`);
+      return null;
+    }
+    displayInfo(`Scope restored to ${scopes.length > 0 ? scopes.join(', ') : 'the whole repository'}`);
   }
+
+  const command = ['/' + checkpoint.command, ...checkpoint.args].join(' ');
+  displayInfo(`Resuming ${command}: ${Object.keys(checkpoint.completed).length}/${checkpoint.total} ranges already analyzed`);
+  return RESUMABLE_HANDLERS[checkpoint.command](checkpoint.args, checkpoint);
+}
+
+async function handleDocSinceLast(state, filePath) {
+  if (!filePath) {
+    displayWarning('Please provide the document to update, e.g. /doc --since-last FEATURES.md');
+    return null;
+  }
+
+  const lastCommit = await featureService.getDocumentedCommit(state.repoPath, filePath);
+  if (!lastCommit) {
+    displayWarning(`No documented commit recorded in ${filePath}. Use /commit or /tag, then /doc ${filePath} first.`);
+    return null;
+  }
+
+  const git = repoService.getGit();
+  const headCommit = await getHeadCommit(git);
+  if (headCommit.startsWith(lastCommit)) {
+    displaySuccess(`${filePath} is already up to date at ${headCommit.substring(0, 7)}`);
+    return { path: filePath, updated: false, upToDate: true, lastCommit: headCommit };
+  }
+
+  const diffs = await getRangeDiff(git, state.projectType, lastCommit, headCommit);
+  await featureService.processDiffs(diffs, 'commit');
+  repoService.updateLastRun('doc', { since: lastCommit });
+
+  return featureService.generateDocumentation(state.repoPath, filePath, headCommit);
+}
+
+const DEFAULT_SCOPED_DOC = 'FEATURES.md';
+
+// One document per scope, e.g. packages/api/FEATURES.md and packages/web/FEATURES.md
+async function handleDocPerScope(state, fileName) {
+  if (!scopeService.isScoped()) {
+    displayWarning('No scopes set. Use /scope <path...> first.');
+    return null;
+  }
+
+  const result = await featureService.generateScopedDocumentation(state.repoPath,
+    fileName || DEFAULT_SCOPED_DOC, featureService.lastCommit);
+  result.documents.forEach(document => document.path
+    ? displaySuccess(`${document.scope}: ${document.features} features ${document.updated ? 'updated' : 'documented'} in ${document.path}`)
+    : displayWarning(`${document.scope}: no features, document skipped`));
+  return result;
 }
 
 async function handleDocCommand(args) {
   const state = repoService.getState();
   if (!state.repoPath) {
     displayWarning('No repository selected. Use /repo to select a repository.');
-    return;
+    return null;
   }
-  
-  if (!featureService.hasFeatures()) {
+
+  const sinceLast = args.includes('--since-last');
+  const perScope = args.includes('--per-scope');
+  const filePath = args.filter(arg => arg !== '--since-last' && arg !== '--per-scope').join(' ').trim();
+
+  if (sinceLast && perScope) {
+    displayWarning('--since-last and --per-scope cannot be combined.');
+    return null;
+  }
+
+  if (!sinceLast && !featureService.hasFeatures()) {
     displayWarning('No features to document. Use /commit or /tag first.');
-    return;
+    return null;
   }
 
   try {
-    const filePath = args.join(' ').trim();
-    const result = await featureService.generateDocumentation(state.repoPath, filePath);
-    
+    if (perScope) {
+      return await handleDocPerScope(state, filePath);
+    }
+
+    const result = sinceLast
+      ? await handleDocSinceLast(state, filePath)
+      // Marked with the end of the analyzed history, which may stop short of HEAD
+      : await featureService.generateDocumentation(state.repoPath, filePath,
+        filePath ? featureService.lastCommit : null);
+
+    if (!result || result.upToDate) {
+      return result;
+    }
+
     if (result.path) {
       displaySuccess(`Features ${result.updated ? 'updated' : 'documented'} to: ${result.path}`);
     } else {
       console.log('\nFeatures:');
       console.log(result.features);
     }
+    return result;
   } catch (error) {
     displayError(`Error documenting features: ${error.message}`);
+    return null;
   }
 }
 
-async function handleExportCommand() {
+async function handleChangelogCommand(args) {
   const state = repoService.getState();
   if (!state.repoPath) {
     displayWarning('No repository selected. Use /repo to select a repository.');
-    return;
+    return null;
+  }
+
+  const unreleasedOnly = args.includes('--unreleased');
+  const filePath = args.filter(arg => arg !== '--unreleased').join(' ').trim() || 'CHANGELOG.md';
+
+  try {
+    const git = repoService.getGit();
+    const result = await changelogService.generate(git, state.repoPath, state.projectType, filePath, unreleasedOnly);
+    repoService.updateLastRun('changelog', { filePath, unreleasedOnly });
+
+    if (result.releases === 0) {
+      displayWarning('No unreleased changes found');
+    } else {
+      displaySuccess(`Changelog ${result.updated ? 'updated' : 'written'} to: ${result.path} (${result.releases} release${result.releases === 1 ? '' : 's'})`);
+    }
+    return result;
+  } catch (error) {
+    displayError(`Error generating changelog: ${error.message}`);
+    return null;
+  }
+}
+
+async function handlePullRequestCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const baseIndex = args.indexOf('--base');
+  const baseRef = baseIndex === -1 ? null : args[baseIndex + 1];
+  if (baseIndex !== -1 && !baseRef) {
+    displayWarning('Usage: /pr [file] [--base <branch>] [--uncommitted]');
+    return null;
+  }
+
+  const includeUncommitted = args.includes('--uncommitted');
+  const filePath = args
+    .filter((arg, i) => arg !== '--uncommitted' && (baseIndex === -1 || (i !== baseIndex && i !== baseIndex + 1)))
+    .join(' ').trim() || null;
+
+  try {
+    const result = await pullRequestService.generate(state.repoPath, state.projectType,
+      { baseRef, includeUncommitted, filePath });
+    repoService.updateLastRun('pr', { base: result.base, includeUncommitted });
+
+    if (result.path) {
+      displaySuccess(`Pull request description written to: ${result.path}`);
+    } else {
+      console.log(`\n${result.markdown}`);
+    }
+    return { base: result.base, title: result.pr.title, path: result.path };
+  } catch (error) {
+    displayError(`Error generating pull request: ${error.message}`);
+    return null;
+  }
+}
+
+// Usage: /export [format] [path]
+async function handleExportCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
   }
 
   if (!featureService.hasFeatures()) {
     displayWarning('No features to export. Use /commit or /tag first to analyze features.');
-    return;
+    return null;
   }
 
+  const format = EXPORT_FORMATS[args[0]?.toLowerCase()] ? args[0].toLowerCase() : null;
+  const path = (format ? args.slice(1) : args).join(' ').trim() || null;
+
   try {
-    const exportFile = await featureService.exportFeatures(state.repoPath, state.projectType);
-    displaySuccess(`Features exported to: ${exportFile}`);
+    const result = await featureService.exportFeatures(state.repoPath, state.projectType, { format, path });
+    displaySuccess(`Features exported to: ${result.path}`);
+    return result;
   } catch (error) {
     displayError(`Error exporting features: ${error.message}`);
+    return null;
+  }
+}
+
+// Usage: /report [path]
+async function handleReportCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  try {
+    const result = await reportService.generate(state.repoPath, state.projectType,
+      { path: args.join(' ').trim() || null });
+    displaySuccess(`Report with ${result.ranges} ranges written to: ${result.path}`);
+    return result;
+  } catch (error) {
+    displayError(`Error generating report: ${error.message}`);
+    return null;
+  }
+}
+
+// Usage: /ask <question> | /ask --reset
+async function handleAskCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const question = args.join(' ').trim();
+  if (question === '--reset') {
+    askService.reset();
+    displaySuccess('Conversation cleared');
+    return { turns: 0 };
+  }
+  if (!question) {
+    displayWarning('Usage: /ask <question> (/ask --reset starts a new conversation)');
+    return null;
+  }
+
+  try {
+    const turn = await askService.ask(repoService.getGit(), state.projectType, question);
+    // Streamed answers are already on screen
+    if (!CONFIG.streaming) {
+      console.log(`\n${turn.answer}`);
+    }
+    if (turn.citations.length > 0) {
+      console.log(`\n${COLORS.BOLD}Sources:${COLORS.RESET}`);
+      turn.citations.forEach(citation => console.log(
+        `  ${COLORS.WHITE}${citation.id}${COLORS.RESET} ${formatOutput('dim', `${(citation.date ? new Date(citation.date).toISOString() : '').substring(0, 10)} ${citation.subject}`)}`));
+    }
+    if (turn.unknownCitations.length > 0) {
+      displayWarning(`Cited but not in the analyzed history: ${turn.unknownCitations.join(', ')}`);
+    }
+    return { answer: turn.answer, citations: turn.citations.map(citation => citation.id) };
+  } catch (error) {
+    displayError(`Error answering question: ${error.message}`);
+    return null;
+  }
+}
+
+const SEARCH_RESULTS = 10;
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+function formatSearchRange(range) {
+  const short = ref => ref === EMPTY_TREE_HASH ? 'empty tree' : /^[0-9a-f]{40}$/.test(ref) ? ref.substring(0, 7) : ref;
+  const date = range.date ? new Date(range.date).toISOString().substring(0, 10) : '';
+  return `${short(range.from)} → ${short(range.to)}${range.label ? ` (${range.label})` : ''}${date ? `, ${date}` : ''}`;
+}
+
+// Usage: /search <text>; without text, shows what the index holds
+async function handleSearchCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const text = args.join(' ').trim();
+  try {
+    if (!text) {
+      const stats = await searchService.stats();
+      displayInfo(`Search index: ${stats.features} features and ${stats.ranges} ranges embedded with ${stats.model}`);
+      console.log(formatOutput('dim', stats.path));
+      return stats;
+    }
+
+    const results = await searchService.search(text, SEARCH_RESULTS);
+    if (results.length === 0) {
+      displayWarning('The search index is empty. Use /commit or /tag to analyze and index the history.');
+      return { results: [] };
+    }
+
+    for (const result of results) {
+      const title = result.kind === 'feature'
+        ? result.feature.title
+        : result.commits.map(commit => commit.subject).join('; ') || result.text.split('\n')[0];
+      console.log(`\n${COLORS.WHITE}${result.score.toFixed(2)}${COLORS.RESET} ${COLORS.BOLD}${title}${COLORS.RESET} ${formatOutput('dim', `[${result.kind}]`)}`);
+      console.log(formatOutput('dim', `     ${formatSearchRange(result.range)}${result.commits.length > 0 ? ` · ${result.commits.length} commit${result.commits.length === 1 ? '' : 's'}` : ''}`));
+    }
+    return { results: results.map(({ kind, score, range, feature }) => ({ kind, score, range, title: feature?.title || null })) };
+  } catch (error) {
+    displayError(`Error searching the index: ${error.message}`);
+    return null;
+  }
+}
+
+// Usage: /scope [path...] | /scope --clear
+async function handleScopeCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const paths = args.filter(Boolean);
+  try {
+    if (paths[0] === '--clear') {
+      await repoService.setScopes([]);
+      displaySuccess('Scope cleared, analyzing the whole repository');
+    } else if (paths.length > 0) {
+      await repoService.setScopes(paths);
+      displaySuccess(`Scope set to ${scopeService.getPaths().join(', ')}`);
+    }
+  } catch (error) {
+    displayError(error.message);
+    return null;
+  }
+
+  repoService.displayScopes();
+  return { scopes: state.scopes, commits: repoService.getCommitCount() };
+}
+
+async function handleCacheCommand(args) {
+  const state = repoService.getState();
+  if (!state.repoPath) {
+    displayWarning('No repository selected. Use /repo to select a repository.');
+    return null;
+  }
+
+  const action = (args[0] || 'stats').toLowerCase();
+  try {
+    switch (action) {
+      case 'stats': {
+        const stats = await cacheService.stats();
+        displayInfo(`Cache: ${stats.path}`);
+        displayInfo(`Entries: ${stats.entries} (${(stats.size / 1024).toFixed(1)} KB)`);
+        displayInfo(`Session: ${stats.hits} hits, ${stats.misses} misses`);
+        return stats;
+      }
+      case 'clear': {
+        const removed = await cacheService.clear();
+        displaySuccess(`Cleared ${removed} cached entries`);
+        return { removed };
+      }
+      default:
+        displayWarning('Usage: /cache [stats|clear]');
+        return null;
+    }
+  } catch (error) {
+    displayError(`Error managing cache: ${error.message}`);
+    return null;
+  }
+}
+
+function displayFilterRules() {
+  const summary = filterService.getSummary();
+  const format = verb => rule => `  ${rule.pattern} ${formatOutput('dim', `(${rule.source}, ${verb} ${rule.files} files)`)}`;
+
+  console.log(`\n${COLORS.BOLD}Include Rules${COLORS.RESET}`);
+  console.log(summary.include.length > 0 ? summary.include.map(format('added')).join('\n') : '  (project type extensions only)');
+  console.log(`${COLORS.BOLD}Exclude Rules${COLORS.RESET}`);
+  console.log(summary.exclude.length > 0 ? summary.exclude.map(format('dropped')).join('\n') : '  (none)');
+  console.log(formatOutput('dim', `Files outside their component's source extensions: ${summary.extensionDropped}`));
+  console.log(formatOutput('dim', `Rules are read from ${CONFIG_FILE} and ${IGNORE_FILE} in the repository root`));
+  return summary;
+}
+
+// Shared by /include and /exclude: add patterns, clear session rules, or list rules
+function handleFilterCommand(args, addPatterns) {
+  const patterns = args.filter(Boolean);
+
+  if (patterns[0] === '--clear') {
+    filterService.clearSession();
+    displaySuccess('Session filter rules cleared');
+  } else if (patterns.length > 0) {
+    addPatterns(patterns);
+    displaySuccess(`Added ${patterns.join(', ')}`);
+  }
+
+  return displayFilterRules();
+}
+
+function handleConfigCommand(args) {
+  const [action, key, ...rest] = args.filter(Boolean);
+
+  try {
+    if (action === 'set' || action === 'unset') {
+      if (!key) {
+        displayWarning('Usage: /config set <key> <value> | /config unset <key>');
+        return null;
+      }
+      const value = action === 'set'
+        ? configService.set(key, rest.join(' '))
+        : configService.unset(key);
+      displaySuccess(`${key} = ${JSON.stringify(value)}`);
+      return { [key]: value };
+    }
+
+    const entries = configService.describe().filter(entry => !action || entry.key === action);
+    if (entries.length === 0) {
+      displayWarning(`Unknown config key '${action}'`);
+      return null;
+    }
+
+    console.log(`\n${COLORS.BOLD}Configuration${COLORS.RESET}`);
+    entries.forEach(({ key, value, source }) => {
+      const shown = key === 'apiKey' && value ? '********' : JSON.stringify(value);
+      console.log(`  ${COLORS.WHITE}${key.padEnd(18)}${COLORS.RESET}${shown} ${formatOutput('dim', `(${source})`)}`);
+    });
+    console.log(formatOutput('dim', `Files: ${getGlobalConfigPath()}, ${CONFIG_FILE} in the repository root`));
+    return Object.fromEntries(entries.map(({ key, value }) => [key, value]));
+  } catch (error) {
+    displayError(error.message);
+    return null;
+  }
+}
+
+async function handleStyleCommand(args) {
+  const name = args.filter(Boolean)[0];
+
+  try {
+    const styles = await promptService.listStyles();
+    if (!name) {
+      console.log(`\n${COLORS.BOLD}Prompt Styles${COLORS.RESET}`);
+      styles.forEach(style => {
+        const marker = style === CONFIG.style ? `${COLORS.GREEN}*${COLORS.RESET}` : ' ';
+        console.log(`  ${marker} ${style}`);
+      });
+      return { style: CONFIG.style, styles };
+    }
+
+    if (!styles.includes(name)) {
+      displayWarning(`Unknown style '${name}'. Available: ${styles.join(', ')}`);
+      return null;
+    }
+
+    configService.set('style', name);
+    displaySuccess(`Prompt style set to: ${name}`);
+    return { style: name };
+  } catch (error) {
+    displayError(`Error selecting style: ${error.message}`);
+    return null;
+  }
+}
+
+function handleProviderCommand(args) {
+  const [name, endpoint, model] = args.filter(Boolean);
+  if (!name) {
+    const info = getProviderInfo();
+    displayInfo(`Provider: ${info.provider}  Endpoint: ${info.endpoint}  Model: ${info.model}`);
+    return info;
+  }
+
+  try {
+    const info = setProvider(name.toLowerCase(), endpoint, model);
+    displaySuccess(`Provider set to: ${info.provider} (${info.endpoint}, model ${info.model})`);
+    return info;
+  } catch (error) {
+    displayError(error.message);
+    return null;
   }
 }
 
 async function handleCommand(cmd) {
-  const [command, ...args] = cmd.toLowerCase().split(' ');
+  // Only the command is case-insensitive; paths, refs and model names keep their case
+  const [rawCommand, ...args] = cmd.split(' ');
+  const command = rawCommand.toLowerCase();
 
   switch (command) {
     case '/help':
@@ -178,12 +823,72 @@ async function handleCommand(cmd) {
       await handleTagCommand(args);
       break;
 
+    case '/resume':
+      await handleResumeCommand();
+      break;
+
+    case '/range':
+      await handleRangeCommand(args);
+      break;
+
+    case '/branch':
+      await handleBranchCommand(args);
+      break;
+
     case '/doc':
       await handleDocCommand(args);
       break;
 
+    case '/changelog':
+      await handleChangelogCommand(args);
+      break;
+
+    case '/pr':
+      await handlePullRequestCommand(args);
+      break;
+
     case '/export':
-      await handleExportCommand();
+      await handleExportCommand(args);
+      break;
+
+    case '/report':
+      await handleReportCommand(args);
+      break;
+
+    case '/scope':
+      await handleScopeCommand(args);
+      break;
+
+    case '/ask':
+      await handleAskCommand(args);
+      break;
+
+    case '/search':
+      await handleSearchCommand(args);
+      break;
+
+    case '/include':
+      handleFilterCommand(args, patterns => filterService.addInclude(patterns));
+      break;
+
+    case '/exclude':
+      handleFilterCommand(args, patterns => filterService.addExclude(patterns));
+      break;
+
+    case '/style':
+      await handleStyleCommand(args);
+      break;
+
+    case '/config':
+      handleConfigCommand(args);
+      break;
+
+    case '/cache':
+      await handleCacheCommand(args);
+      break;
+
+    case '/provider':
+      handleProviderCommand(args);
       break;
 
     case '/stream':
@@ -201,9 +906,95 @@ async function handleCommand(cmd) {
   }
 }
 
+const BATCH_HANDLERS = {
+  commit: handleCommitCommand,
+  tag: handleTagCommand,
+  resume: handleResumeCommand,
+  doc: handleDocCommand,
+  changelog: handleChangelogCommand,
+  export: handleExportCommand,
+  report: handleReportCommand
+};
+
+async function runBatch(options) {
+  // Keep stdout clean for the JSON summary; everything else goes to stderr
+  if (options.json) {
+    console.log = console.error;
+    progressService.setStream(process.stderr);
+  }
+
+  const summary = {
+    success: false,
+    repository: null,
+    projectType: null,
+    components: [],
+    scopes: [],
+    steps: []
+  };
+
+  try {
+    const state = await repoService.analyzeRepository(options.repo);
+    if (options.scopes.length > 0) {
+      await repoService.setScopes(options.scopes);
+    }
+    summary.repository = state.repoPath;
+    summary.projectType = state.projectType;
+    summary.components = state.components;
+    summary.scopes = state.scopes;
+    if (!options.json) {
+      repoService.displayRepositoryInfo();
+    }
+
+    for (const step of options.steps) {
+      const result = await BATCH_HANDLERS[step.command](step.args);
+      summary.steps.push({ command: step.command, args: step.args, success: !!result, ...result });
+      if (!result) break;
+    }
+
+    summary.success = summary.steps.every(step => step.success);
+  } catch (error) {
+    displayError(error.message);
+    summary.error = error.message;
+  }
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  }
+
+  return summary.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
 async function main() {
+  let options;
   try {
-    let initialPath = process.argv[2];
+    options = parseArgs(process.argv.slice(2));
+    // Streamed tokens would interleave with the JSON summary
+    if (options.json) {
+      options.config.streaming = false;
+    }
+    configService.setCliOverrides(options.config);
+  } catch (error) {
+    displayError(error.message);
+    console.log(USAGE_MESSAGE);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (options.help) {
+    console.log(USAGE_MESSAGE);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  if (options.steps.length > 0) {
+    if (!options.repo) {
+      displayError('A repository path is required in batch mode');
+      process.exit(EXIT_CODES.USAGE);
+    }
+    process.exit(await runBatch(options));
+  }
+
+  try {
+    await configService.load();
+    let initialPath = options.repo;
 
     if (!initialPath) {
       initialPath = await promptForInput('Enter repository path: ');
@@ -211,6 +1002,9 @@ async function main() {
 
     if (initialPath) {
       await repoService.analyzeRepository(initialPath);
+      if (options.scopes.length > 0) {
+        await repoService.setScopes(options.scopes);
+      }
       repoService.displayRepositoryInfo();
     }
 
@@ -225,12 +1019,23 @@ async function main() {
     }
   } catch (error) {
     displayError(error.message);
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
+// Handle graceful shutdown: a running analysis finishes its in-flight diffs and saves a
+// checkpoint first; a second Ctrl-C exits immediately
+process.on('SIGINT', async () => {
+  if (featureService.isProcessing()) {
+    if (featureService.stopRequested) {
+      displayWarning('\nQuitting without waiting for in-flight requests');
+      process.exit(EXIT_CODES.INTERRUPTED);
+    }
+    displayWarning('\nStopping after in-flight requests finish, press Ctrl-C again to quit now...');
+    await featureService.requestStop();
+    process.exit(EXIT_CODES.INTERRUPTED);
+  }
+
   displaySuccess('\nGracefully shutting down...');
   process.exit(0);
 });
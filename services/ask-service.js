@@ -0,0 +1,226 @@
+/**
+ * Question answering over the analyzed history
+ *
+ * Implementation:
+ * - Holds a multi-turn conversation about the ranges of the last analysis, starting over
+ *   when a new /commit or /tag run replaces them
+ * - Puts the ranges the search index finds most similar to the question first, then ranks
+ *   the rest by how many terms of the question, and of the previous question for
+ *   follow-ups, appear in their features, commits, changed files and symbols
+ * - Grounds each question in the best ranges, with every commit marked by its short hash and
+ *   tag ranges by their tag, and adds the diffs of the top ranges while they fit
+ * - Keeps the grounding within askContextTokens and resends only the last turns
+ * - Resolves the [id] citations of each answer to the commits and tag ranges they name
+ *
+ * Data structures:
+ * - Citation: {id, type: commit | tag, subject, date, range: {from, to}}
+ * - Turn: {question, answer, citations: Citation[], unknownCitations: string[]}
+ *
+ * Dependencies: feature-service.js for analyzed ranges and the summary, git-analyzer.js for
+ * answers, git-service.js for range diffs, search-service.js for similar ranges
+ */
+
+import { featureService } from './feature-service.js';
+import { answerQuestion } from './git-analyzer.js';
+import { getSourceDiff } from './git-service.js';
+import { searchService } from './search-service.js';
+import { formatFileSymbols } from './symbol-extractor.js';
+import { estimateTokens, getChunkBudget, CHARS_PER_TOKEN } from './tokenizer.js';
+import { CONFIG } from './config-service.js';
+
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+const getRangeKey = range => `${range.from}..${range.to}`;
+
+// Ranges described in full per question, and how many of them also get their diff
+const MAX_CONTEXT_RANGES = 8;
+const MAX_DIFF_RANGES = 2;
+// Earlier question and answer pairs resent with each question
+const MAX_HISTORY_TURNS = 6;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'what', 'when', 'which', 'where', 'who', 'how',
+  'why', 'did', 'does', 'was', 'were', 'are', 'has', 'have', 'had', 'our', 'from', 'into',
+  'about', 'any', 'all', 'been', 'there', 'their', 'they', 'can', 'you', 'not', 'add', 'added',
+  'change', 'changed', 'commit', 'commits', 'touch', 'touched'
+]);
+
+function getTerms(text) {
+  return [...new Set((text.toLowerCase().match(/[\p{L}\p{N}_$#./-]+/gu) || [])
+    .map(term => term.replace(/^[./-]+|[./-]+$/g, ''))
+    .filter(term => term.length >= 3 && !STOP_WORDS.has(term)))];
+}
+
+const shortHash = hash => hash.substring(0, 7);
+
+// Searchable text of a range: features, commits, files and symbols
+function getRangeText(range) {
+  return [
+    range.from, range.to, range.label || '',
+    ...range.features.flatMap(feature => [feature.title, ...feature.details, ...feature.files]),
+    ...range.commits.flatMap(commit => [commit.hash, commit.author, commit.subject, commit.body || '']),
+    ...range.files,
+    ...(range.symbols || []).flatMap(fileSymbols =>
+      [...fileSymbols.added, ...fileSymbols.removed, ...fileSymbols.modified].map(symbol => symbol.name))
+  ].join('\n').toLowerCase();
+}
+
+// Ranges matching any term, those matching the most terms first and the latest first among equals
+function rankRanges(ranges, terms) {
+  return ranges
+    .map((range, index) => {
+      const text = getRangeText(range);
+      return { range, index, score: terms.filter(term => text.includes(term)).length };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .map(entry => entry.range);
+}
+
+function describeRange(range) {
+  if (range.type === 'tag') {
+    return `[${range.to}] Tag range ${range.from} -> ${range.to}`;
+  }
+  const from = range.from === EMPTY_TREE_HASH ? 'empty tree' : shortHash(range.from);
+  return `Commits ${from} -> ${shortHash(range.to)}${range.label ? ` (${range.label})` : ''}`;
+}
+
+function formatRange(range) {
+  const date = range.date ? new Date(range.date).toISOString().substring(0, 10) : '';
+  const lines = [`## ${describeRange(range)}${date ? `, ${date}` : ''}`];
+
+  if (range.commits.length > 0) {
+    lines.push('Commits:', ...range.commits.map(commit =>
+      `- [${shortHash(commit.hash)}] ${(commit.date || '').substring(0, 10)} ${commit.author}: ${commit.subject}`));
+  }
+  if (range.features.length > 0) {
+    lines.push('Features:', ...range.features.map(feature =>
+      `- (${feature.category}) ${feature.title}${feature.details.length > 0 ? `: ${feature.details.join('; ')}` : ''}` +
+      `${feature.files.length > 0 ? ` (files: ${feature.files.join(', ')})` : ''}`));
+  }
+  if (range.symbols?.length > 0) {
+    lines.push('Symbols:', ...range.symbols.map(fileSymbols => `- ${fileSymbols.path}: ${formatFileSymbols(fileSymbols)}`));
+  }
+  return lines.join('\n');
+}
+
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+  return `${text.substring(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - 40))}\n... (diff truncated)`;
+}
+
+// Every id an answer may cite, with what it refers to
+function indexCitations(ranges) {
+  const citations = new Map();
+  for (const range of ranges) {
+    const rangeEnds = { from: range.from, to: range.to };
+    if (range.type === 'tag') {
+      citations.set(range.to, { id: range.to, type: 'tag', subject: `${range.from} -> ${range.to}`, date: range.date, range: rangeEnds });
+    }
+    for (const commit of range.commits) {
+      const id = shortHash(commit.hash);
+      citations.set(id, { id, type: 'commit', subject: commit.subject, date: commit.date, range: rangeEnds });
+    }
+  }
+  return citations;
+}
+
+// Ids in square brackets, e.g. "[a1b2c3d]" or "[v1.2.0, 9f8e7d6]"
+function findCitationIds(answer) {
+  const ids = [...answer.matchAll(/\[([^[\]\n]+)\]/g)]
+    .flatMap(match => match[1].split(/[,;]\s*|\s+/))
+    .map(id => id.trim())
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+export class AskService {
+  constructor() {
+    this.ranges = null;
+    this.turns = [];
+  }
+
+  reset() {
+    this.ranges = null;
+    this.turns = [];
+  }
+
+  getTurns() {
+    return this.turns;
+  }
+
+  // Analyzed ranges whose features or commits the search index finds closest to the question;
+  // none when the index is empty or cannot embed, leaving the keyword ranking. After a failed
+  // embedding request the index is not asked again this session (search-service.js)
+  async findSimilarRanges(question) {
+    if (searchService.getFailure()) return [];
+
+    const rangesByKey = new Map(this.ranges.map(range => [getRangeKey(range), range]));
+    try {
+      const results = await searchService.search(question, MAX_CONTEXT_RANGES);
+      return results.map(result => rangesByKey.get(getRangeKey(result.range))).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  // Answers a question about the analyzed ranges; returns the Turn
+  async ask(git, projectType, question) {
+    if (featureService.ranges.length === 0) {
+      throw new Error('No analyzed history. Use /commit or /tag first.');
+    }
+    if (this.ranges !== featureService.ranges) {
+      this.ranges = featureService.ranges;
+      this.turns = [];
+    }
+
+    const history = this.turns.slice(-MAX_HISTORY_TURNS).flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer }
+    ]);
+    const summary = featureService.features || '';
+    const previousQuestion = this.turns[this.turns.length - 1]?.question || '';
+    const terms = [...new Set([...getTerms(question), ...getTerms(previousQuestion)])];
+    const matched = [...new Set([...await this.findSimilarRanges(question), ...rankRanges(this.ranges, terms)])];
+    // Without matches, the latest ranges give the model something to go on
+    const ranked = (matched.length > 0 ? matched : [...this.ranges].reverse()).slice(0, MAX_CONTEXT_RANGES);
+
+    const fixedText = [summary, ...history.map(message => message.content), question].join('\n');
+    let remaining = getChunkBudget(CONFIG.askContextTokens, fixedText);
+    const sections = [];
+    for (const range of ranked) {
+      const section = formatRange(range);
+      if (sections.length > 0 && estimateTokens(section) > remaining) break;
+      sections.push(section);
+      remaining -= estimateTokens(section);
+    }
+
+    // Diffs only help for ranges the question actually matched
+    const diffRanges = matched.length > 0 ? ranked.slice(0, Math.min(MAX_DIFF_RANGES, sections.length)) : [];
+    for (const range of diffRanges) {
+      if (remaining <= 0) break;
+      const diff = await getSourceDiff(git, projectType, range.from, range.to);
+      if (!diff) continue;
+      const section = truncateToTokens(`## Diff of ${describeRange(range)}\n${diff}`, remaining);
+      sections.push(section);
+      remaining -= estimateTokens(section);
+    }
+
+    const answer = await answerQuestion(question, { context: sections.join('\n\n'), summary, history });
+
+    const knownCitations = indexCitations(this.ranges);
+    // Longer hashes are cited by their short form
+    const ids = [...new Set(findCitationIds(answer).map(id => /^[0-9a-f]{8,40}$/.test(id) ? shortHash(id) : id))];
+    const turn = {
+      question,
+      answer,
+      citations: ids.filter(id => knownCitations.has(id)).map(id => knownCitations.get(id)),
+      // Only hash- or tag-like ids count as failed citations, not bracketed prose
+      unknownCitations: ids.filter(id => !knownCitations.has(id) && /^[0-9a-f]{7,40}$|^v?\d+(\.\d+)+/.test(id))
+    };
+    this.turns.push(turn);
+    return turn;
+  }
+}
+
+export const askService = new AskService();
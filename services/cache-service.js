@@ -0,0 +1,109 @@
+/**
+ * Persistent analysis cache service
+ *
+ * Implementation:
+ * - Stores analyzeGitDiff results on disk, one JSON file per entry
+ * - Keys entries by a SHA-256 of range, diff content, symbol changes, provider, model, language and prompt version
+ *   (the analyze contract version plus the selected template's style and content hash)
+ * - Keeps a separate cache directory per repository under the user cache dir
+ * - Tracks hits and misses for the current session
+ *
+ * Storage layout:
+ * - $XDG_CACHE_HOME/git-to-text/<repo-id>/<key>.json (defaults to ~/.cache)
+ * - Entry: {key: {...}, features: Feature[], createdAt: string}
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { join, basename } from 'path';
+import { createHash } from 'crypto';
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+// Directory name identifying a repository in per-user cache and state dirs
+export function getRepositoryId(repoPath) {
+  return `${basename(repoPath)}-${hash(repoPath).substring(0, 12)}`;
+}
+
+export function getCacheRoot() {
+  const base = process.env.XDG_CACHE_HOME || join(os.homedir(), '.cache');
+  return join(base, 'git-to-text');
+}
+
+export class CacheService {
+  constructor(root = getCacheRoot()) {
+    this.root = root;
+    this.dir = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  setRepository(repoPath) {
+    this.dir = join(this.root, getRepositoryId(repoPath));
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Key fields: from, to, diff, provider, model, language, promptVersion
+  createKey({ diff, ...fields }) {
+    return hash(JSON.stringify({ ...fields, diffHash: hash(diff) }));
+  }
+
+  async get(keyFields) {
+    if (!this.dir) return null;
+
+    try {
+      const content = await fs.readFile(join(this.dir, `${this.createKey(keyFields)}.json`), 'utf8');
+      this.hits++;
+      return JSON.parse(content).features;
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      this.misses++;
+      return null;
+    }
+  }
+
+  async set(keyFields, features) {
+    if (!this.dir) return;
+
+    const { diff, ...key } = keyFields;
+    const entry = { key, features, createdAt: new Date().toISOString() };
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(join(this.dir, `${this.createKey(keyFields)}.json`), JSON.stringify(entry, null, 2));
+  }
+
+  async stats() {
+    const result = { path: this.dir, entries: 0, size: 0, hits: this.hits, misses: this.misses };
+    if (!this.dir) return result;
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+      const { size } = await fs.stat(join(this.dir, file));
+      result.entries++;
+      result.size += size;
+    }
+
+    return result;
+  }
+
+  async clear() {
+    if (!this.dir) {
+      throw new Error('No repository selected');
+    }
+    const { entries } = await this.stats();
+    await fs.rm(this.dir, { recursive: true, force: true });
+    this.hits = 0;
+    this.misses = 0;
+    return entries;
+  }
+}
+
+export const cacheService = new CacheService();
@@ -0,0 +1,136 @@
+/**
+ * Changelog generation service
+ *
+ * Implementation:
+ * - Analyzes each tag range through the feature pipeline
+ * - Combines each range's features with its commit messages into grouped entries
+ * - Writes a release for every tag; ranges without features list their commit subjects,
+ *   or a "No notable changes" line when they have none
+ * - Renders Keep a Changelog style markdown, newest release first
+ * - Prepends or replaces only the Unreleased section of an existing changelog
+ *
+ * Data structures:
+ * - Release: {version: string, date: Date | null, groups: {added, changed, fixed, removed}}
+ *
+ * Dependencies: git-service.js for tag ranges, feature-service.js for analysis
+ */
+
+import fs from 'fs/promises';
+import { resolve } from 'path';
+import { getTagDiffs, getSortedTags, getCommitMessages } from './git-service.js';
+import { summarizeChangelog } from './git-analyzer.js';
+import { featureService } from './feature-service.js';
+import { FEATURE_CATEGORIES } from './feature-model.js';
+
+const CHANGELOG_HEADER = '# Changelog\n\nAll notable changes to this project are documented in this file.\n';
+const UNRELEASED = 'Unreleased';
+const NO_CHANGES = 'No notable changes.';
+
+// Matches an existing Unreleased section up to the next release heading
+const UNRELEASED_SECTION_PATTERN = /^## \[Unreleased\][\s\S]*?(?=^## |(?![\s\S]))/m;
+
+function formatDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+export function renderRelease(release) {
+  const heading = release.date
+    ? `## [${release.version}] - ${formatDate(release.date)}`
+    : `## [${release.version}]`;
+
+  const sections = FEATURE_CATEGORIES
+    .filter(category => release.groups[category].length > 0)
+    .map(category => {
+      const title = category.charAt(0).toUpperCase() + category.slice(1);
+      return `### ${title}\n${release.groups[category].map(entry => `- ${entry}`).join('\n')}`;
+    });
+
+  return [heading, ...(sections.length > 0 ? sections : [NO_CHANGES])].join('\n\n') + '\n';
+}
+
+// Lists a range's commit subjects as changes when it has no analyzed features
+function groupCommitSubjects(commitMessages) {
+  const groups = Object.fromEntries(FEATURE_CATEGORIES.map(category => [category, []]));
+  groups.changed = commitMessages.map(message => message.split('\n')[0].trim()).filter(Boolean);
+  return groups;
+}
+
+// Inserts the section after the changelog title, replacing any previous Unreleased section
+function prependRelease(content, section) {
+  const body = content.replace(UNRELEASED_SECTION_PATTERN, '');
+  const firstRelease = body.search(/^## /m);
+
+  if (firstRelease === -1) {
+    return `${body.trimEnd()}\n\n${section}`;
+  }
+  return `${body.slice(0, firstRelease)}${section}\n${body.slice(firstRelease)}`;
+}
+
+export class ChangelogService {
+  async buildReleases(git, projectType, fromTag = null) {
+    const tags = await getSortedTags(git);
+    const diffs = await getTagDiffs(git, projectType, fromTag);
+    await featureService.processDiffs(diffs, 'tag');
+
+    // Every tag gets a release, including ranges without source changes that have no diff
+    const ends = fromTag
+      ? tags.slice(tags.findIndex(tag => tag.name === fromTag))
+      : [{ name: 'empty-tree', date: null }, ...tags];
+    ends.push({ name: 'HEAD', date: null });
+
+    const releases = [];
+    for (let i = 0; i < ends.length - 1; i++) {
+      const from = ends[i].name;
+      const to = ends[i + 1].name;
+      const released = to !== 'HEAD';
+      const commitMessages = await getCommitMessages(git, from, to);
+
+      // Nothing committed since the newest tag
+      if (!released && commitMessages.length === 0) continue;
+
+      const features = featureService.allFeatures.filter(feature =>
+        feature.range?.from === from && feature.range?.to === to);
+      releases.push({
+        version: released ? to : UNRELEASED,
+        date: released ? ends[i + 1].date : null,
+        groups: features.length > 0
+          ? await summarizeChangelog(features, commitMessages)
+          : groupCommitSubjects(commitMessages)
+      });
+    }
+
+    // Newest release first
+    return releases.reverse();
+  }
+
+  async generate(git, repoPath, projectType, filePath = 'CHANGELOG.md', unreleasedOnly = false) {
+    const fullPath = resolve(repoPath, filePath);
+    let content = '';
+    try {
+      content = await fs.readFile(fullPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (unreleasedOnly) {
+      const tags = await getSortedTags(git);
+      const lastTag = tags.length > 0 ? tags[tags.length - 1].name : null;
+      const releases = (await this.buildReleases(git, projectType, lastTag))
+        .filter(release => release.version === UNRELEASED);
+
+      if (releases.length === 0) {
+        return { path: filePath, releases: 0 };
+      }
+
+      await fs.writeFile(fullPath, prependRelease(content || CHANGELOG_HEADER, renderRelease(releases[0])));
+      return { path: filePath, releases: 1, updated: !!content };
+    }
+
+    const releases = await this.buildReleases(git, projectType);
+    const changelog = [CHANGELOG_HEADER, ...releases.map(renderRelease)].join('\n');
+    await fs.writeFile(fullPath, changelog);
+    return { path: filePath, releases: releases.length, updated: !!content };
+  }
+}
+
+export const changelogService = new ChangelogService();
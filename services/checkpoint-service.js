@@ -0,0 +1,74 @@
+/**
+ * Checkpoint service for resumable analysis runs
+ *
+ * Implementation:
+ * - Saves the features of every analyzed diff range as soon as the range completes
+ * - Records the command, arguments and path scopes of the run so /resume can repeat it
+ * - Keeps one checkpoint per repository, removed when a run completes
+ * - Serializes writes and replaces the file atomically so an interrupted write
+ *   never leaves a corrupt checkpoint
+ *
+ * Storage layout:
+ * - $XDG_STATE_HOME/git-to-text/<repo-id>/checkpoint.json (defaults to ~/.local/state)
+ * - Checkpoint: {command, args, scopes: string[], type, total, completed: {"<from>..<to>": Feature[]},
+ *   startedAt, updatedAt}; completed ranges are keyed on the commit hashes of both ends
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { join, dirname } from 'path';
+import { getRepositoryId } from './cache-service.js';
+
+export function getStateRoot() {
+  const base = process.env.XDG_STATE_HOME || join(os.homedir(), '.local', 'state');
+  return join(base, 'git-to-text');
+}
+
+export function getCheckpointKey(from, to) {
+  return `${from}..${to}`;
+}
+
+export class CheckpointService {
+  constructor(root = getStateRoot()) {
+    this.root = root;
+    this.path = null;
+    this.pending = Promise.resolve();
+  }
+
+  setRepository(repoPath) {
+    this.path = join(this.root, getRepositoryId(repoPath), 'checkpoint.json');
+  }
+
+  async load() {
+    if (!this.path) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+      return null;
+    }
+  }
+
+  // Writes run after each other, so the last save always wins
+  save(checkpoint) {
+    if (!this.path) return Promise.resolve();
+
+    const path = this.path;
+    const content = JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() });
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      await fs.mkdir(dirname(path), { recursive: true });
+      await fs.writeFile(`${path}.tmp`, content);
+      await fs.rename(`${path}.tmp`, path);
+    });
+    return this.pending;
+  }
+
+  async clear() {
+    if (!this.path) return;
+    await this.pending.catch(() => {});
+    await fs.rm(this.path, { force: true });
+  }
+}
+
+export const checkpointService = new CheckpointService();
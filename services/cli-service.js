@@ -6,19 +6,43 @@
  * - Manages command validation and execution
  * - Provides consistent output formatting
  * - Implements interactive prompts
+ * - Parses command-line flags for non-interactive batch runs
  * 
  * Commands:
  * - /help: Show help message
  * - /repo: Switch repositories
- * - /commit: Analyze commit diffs
+ * - /commit: Analyze commit diffs, grouped by count or by day/week/month/quarter
  * - /tag: Analyze tag diffs
+ * - /resume: Continue the last interrupted /commit, /range, /branch or /tag run
+ * - /range: Analyze a ref range from its merge base
+ * - /branch: Analyze a branch relative to its base branch
  * - /speak: Set language
  * - /stream: Toggle streaming
- * - /export: Export features
- * - /doc: Generate documentation
+ * - /provider: Show or switch LLM provider
+ * - /cache: Show stats or clear the analysis cache
+ * - /config: View and set configuration values
+ * - /style: List or select prompt template presets
+ * - /include, /exclude: Adjust source file filter rules for the session
+ * - /export: Export features as Markdown, JSON, HTML, CSV or plain text
+ * - /report: Write an HTML timeline report of the last analysis
+ * - /scope: Restrict analysis to repository subdirectories (monorepo packages)
+ * - /doc: Generate documentation, optionally only since the last documented commit or per scope
+ * - /changelog: Generate a changelog from tag ranges
+ * - /pr: Generate a pull request description for the current branch
+ * 
+ * Batch flags:
+ * - --commit [n] [--by unit] [--since date] [--until date], --tag [from], --resume, --doc [--since-last|--per-scope] [file], --changelog [--unreleased] [file],
+ *   --export [format] [path], --report [path]: Steps run in the given order
+ * - --scope <path>: Restrict analysis to a subdirectory, repeatable
+ * - --lang, --provider, --model, --endpoint, --concurrency, --set key=value, --no-stream: Config overrides
+ * - --json: Print a JSON run summary
+ * - The repository path, when given, must be the first argument, so a step's optional value
+ *   is never mistaken for it
  */
 
 import readline from 'readline';
+import { statSync } from 'fs';
+import { EXPORT_FORMATS } from './export-service.js';
 
 // ANSI escape codes
 export const COLORS = {
@@ -37,14 +61,189 @@ ${COLORS.BOLD}Available Commands:${COLORS.RESET}
   ${COLORS.WHITE}/help${COLORS.RESET}              - Show this help message
   ${COLORS.WHITE}/repo${COLORS.RESET} [path]       - Switch repositories
   ${COLORS.WHITE}/commit${COLORS.RESET} [n]        - Create and analyze diffs for every n commits
+  ${COLORS.WHITE}/commit --by${COLORS.RESET} <unit>  - One diff per day, week, month or quarter
+  ${COLORS.WHITE}/commit${COLORS.RESET} ... --since <date> --until <date> - Limit either mode to a date window
   ${COLORS.WHITE}/tag${COLORS.RESET} [from]        - Analyze changes between git tags, optionally starting from a specific tag
+  ${COLORS.WHITE}/resume${COLORS.RESET}           - Continue the last interrupted /commit, /range, /branch or /tag run
+  ${COLORS.WHITE}/range${COLORS.RESET} <from>..<to> [n] - Analyze commits in a ref range from its merge base, every n commits
+  ${COLORS.WHITE}/branch${COLORS.RESET} <name> [n] [--base main] - Analyze what a branch adds relative to its base
   ${COLORS.WHITE}/speak${COLORS.RESET} [lang]      - Set language for responses (default: English)
   ${COLORS.WHITE}/stream${COLORS.RESET} [on|off]   - Toggle response streaming (default: on)
-  ${COLORS.WHITE}/export${COLORS.RESET}            - Export features to a timestamped log file
+  ${COLORS.WHITE}/provider${COLORS.RESET} [name] [endpoint] [model] - Show or switch LLM provider (ollama, openai)
+  ${COLORS.WHITE}/include${COLORS.RESET} [glob...]   - Include files matching globs; lists rules and drop counts
+  ${COLORS.WHITE}/exclude${COLORS.RESET} [glob...]   - Exclude files matching globs (--clear resets session rules)
+  ${COLORS.WHITE}/style${COLORS.RESET} [name]       - List or select prompt style presets (default, release-notes, architecture)
+  ${COLORS.WHITE}/config${COLORS.RESET} [set|unset] [key] [value] - View or change configuration for the session
+  ${COLORS.WHITE}/cache${COLORS.RESET} [stats|clear] - Show analysis cache stats or clear it
+  ${COLORS.WHITE}/export${COLORS.RESET} [format] [path] - Export features (markdown, json, html, csv, log) to a file or directory
+  ${COLORS.WHITE}/report${COLORS.RESET} [path]     - Write a searchable HTML timeline of the last /commit or /tag analysis
+  ${COLORS.WHITE}/scope${COLORS.RESET} [path...]   - Restrict analysis to subdirectories, detecting each one's project type (--clear resets)
   ${COLORS.WHITE}/doc${COLORS.RESET} [file]        - Summarize features to a file (optional)
+  ${COLORS.WHITE}/doc --since-last${COLORS.RESET} <file> - Update a document with only the commits since it was last written
+  ${COLORS.WHITE}/doc --per-scope${COLORS.RESET} [file] - Write one document per scope, e.g. <scope>/FEATURES.md
+  ${COLORS.WHITE}/changelog${COLORS.RESET} [file] [--unreleased] - Write a changelog per tag, or prepend only unreleased changes
+  ${COLORS.WHITE}/pr${COLORS.RESET} [file] [--base main] [--uncommitted] - Draft a pull request title and body for the current branch
+  ${COLORS.WHITE}/ask${COLORS.RESET} <question>   - Ask about the analyzed history, with commit and tag citations (--reset starts over)
+  ${COLORS.WHITE}/search${COLORS.RESET} [text]     - Find the features and commit ranges closest in meaning to the text
   ${COLORS.WHITE}/exit${COLORS.RESET}              - Exit the program
 `;
 
+export const USAGE_MESSAGE = `
+${COLORS.BOLD}Usage:${COLORS.RESET} git-to-text [repository-path] [options]
+
+Without step flags the interactive command prompt is started. Passing any step
+flag runs the steps once in the given order and exits. The repository path must
+come before all options.
+
+${COLORS.BOLD}Steps:${COLORS.RESET}
+  ${COLORS.WHITE}--commit${COLORS.RESET} [n]        - Analyze diffs for every n commits
+  ${COLORS.WHITE}--commit --by${COLORS.RESET} <unit> [--since <date>] [--until <date>] - Analyze one diff per day, week, month or quarter
+  ${COLORS.WHITE}--tag${COLORS.RESET} [from]        - Analyze changes between git tags
+  ${COLORS.WHITE}--resume${COLORS.RESET}            - Continue the last interrupted commit, range, branch or tag run
+  ${COLORS.WHITE}--doc${COLORS.RESET} [file]        - Summarize features to a file, or stdout
+  ${COLORS.WHITE}--doc --since-last${COLORS.RESET} <file> - Update a document with commits since it was last written
+  ${COLORS.WHITE}--doc --per-scope${COLORS.RESET} [file] - Write one document per scope (default: FEATURES.md)
+  ${COLORS.WHITE}--changelog${COLORS.RESET} [file]  - Write a changelog from tag ranges (default: CHANGELOG.md)
+  ${COLORS.WHITE}--changelog --unreleased${COLORS.RESET} [file] - Prepend only the unreleased section
+  ${COLORS.WHITE}--export${COLORS.RESET} [format] [path] - Export features (markdown, json, html, csv, log)
+  ${COLORS.WHITE}--report${COLORS.RESET} [path]     - Write an HTML timeline report
+
+${COLORS.BOLD}Options:${COLORS.RESET}
+  ${COLORS.WHITE}--scope${COLORS.RESET} <path>      - Analyze only this subdirectory; repeat for several packages
+  ${COLORS.WHITE}--lang${COLORS.RESET} <lang>       - Set language for responses (default: English)
+  ${COLORS.WHITE}--provider${COLORS.RESET} <name>   - Set LLM provider (ollama, openai)
+  ${COLORS.WHITE}--model${COLORS.RESET} <name>      - Set model
+  ${COLORS.WHITE}--endpoint${COLORS.RESET} <url>    - Set provider endpoint
+  ${COLORS.WHITE}--concurrency${COLORS.RESET} <n>   - Maximum parallel LLM requests
+  ${COLORS.WHITE}--set${COLORS.RESET} <key=value>   - Set any config value, e.g. --set diffChunkTokens=800
+  ${COLORS.WHITE}--no-stream${COLORS.RESET}         - Disable response streaming
+  ${COLORS.WHITE}--json${COLORS.RESET}              - Print a JSON run summary on stdout (implies --no-stream)
+  ${COLORS.WHITE}--help${COLORS.RESET}              - Show this usage message
+
+${COLORS.BOLD}Exit codes:${COLORS.RESET} 0 success, 1 failed step, 2 invalid usage, 130 interrupted (Ctrl-C)
+`;
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Values of steps that name a file or tag; an existing directory is never one
+const isFileValue = value => !value.startsWith('--') && !isDirectory(value);
+
+// Flags that become pipeline steps, with a matcher for their optional value,
+// the modifier flags they accept and the options that take a value.
+// --export and --report also write into a directory given as their path
+const STEP_FLAGS = {
+  '--commit': { value: value => /^\d+$/.test(value), modifiers: [], options: ['--by', '--since', '--until'] },
+  '--tag': { value: isFileValue, modifiers: [] },
+  '--resume': { value: () => false, modifiers: [] },
+  '--doc': { value: isFileValue, modifiers: ['--since-last', '--per-scope'] },
+  '--changelog': { value: isFileValue, modifiers: ['--unreleased'] },
+  '--export': { value: value => !value.startsWith('--'), modifiers: Object.keys(EXPORT_FORMATS) },
+  '--report': { value: value => !value.startsWith('--'), modifiers: [] }
+};
+
+// Flags that set a config key from the following argument
+const CONFIG_FLAGS = {
+  '--lang': 'language',
+  '--provider': 'provider',
+  '--model': 'model',
+  '--endpoint': 'endpoint',
+  '--concurrency': 'concurrency'
+};
+
+// Config values in options.config form the CLI layer of the layered config
+export function parseArgs(argv) {
+  const options = {
+    repo: null,
+    steps: [],
+    scopes: [],
+    config: {},
+    json: false,
+    help: false
+  };
+
+  const requireValue = (flag, i, what) => {
+    if (!argv[i + 1] || argv[i + 1].startsWith('--')) {
+      throw new Error(`${flag} requires ${what}`);
+    }
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (STEP_FLAGS[arg]) {
+      const { value, modifiers, options: stepOptions = [] } = STEP_FLAGS[arg];
+      const args = [];
+      let hasValue = false;
+
+      while (i + 1 < argv.length) {
+        const next = argv[i + 1];
+        if (modifiers.includes(next)) {
+          args.push(next);
+        } else if (stepOptions.includes(next)) {
+          args.push(next, requireValue(next, i + 1, 'a value'));
+          i++;
+        } else if (!hasValue && value(next)) {
+          args.push(next);
+          hasValue = true;
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      options.steps.push({ command: arg.slice(2), args });
+      continue;
+    }
+
+    if (CONFIG_FLAGS[arg]) {
+      options.config[CONFIG_FLAGS[arg]] = requireValue(arg, i++, 'a value');
+      continue;
+    }
+
+    switch (arg) {
+      case '--set': {
+        const assignment = requireValue(arg, i++, 'key=value');
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+          throw new Error('--set requires key=value');
+        }
+        options.config[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+        break;
+      }
+      case '--scope':
+        options.scopes.push(requireValue(arg, i++, 'a path'));
+        break;
+      case '--no-stream':
+        options.config.streaming = false;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        if (i > 0) {
+          throw new Error(`Unexpected argument: ${arg} (the repository path must be the first argument)`);
+        }
+        options.repo = arg;
+    }
+  }
+
+  return options;
+}
+
 export async function promptForInput(question) {
   const rl = readline.createInterface({
     input: process.stdin,
@@ -0,0 +1,206 @@
+/**
+ * Layered configuration service
+ *
+ * Implementation:
+ * - Merges defaults, global config, repository config, CLI flags and session overrides
+ * - Exposes the merged result as the shared CONFIG object read by all services
+ * - Validates keys and coerces string values to the type of their default
+ * - Tracks which layer supplied each value for display
+ *
+ * Layers (later wins):
+ * 1. default: Built-in values below
+ * 2. global: $XDG_CONFIG_HOME/git-to-text/config.json (defaults to ~/.config)
+ * 3. repo: .git-to-text.json in the repository root
+ * 4. cli: Command-line flags
+ * 5. session: /config set and other runtime commands
+ *
+ * Filter lists (filters.include, filters.exclude) are concatenated across layers.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+
+export const CONFIG_FILE = '.git-to-text.json';
+
+export const DEFAULTS = {
+  provider: 'ollama',
+  endpoint: null,
+  model: 'llama3.2:3b',
+  embeddingModel: 'nomic-embed-text',
+  apiKey: process.env.OPENAI_API_KEY || null,
+  temperature: 0.3,
+  retryAttempts: 3,
+  retryDelay: 1000,
+  concurrency: 1,
+  maxTokens: 4096,
+  contextWindow: 131072,
+  diffChunkTokens: 500,
+  summaryChunkTokens: 1000,
+  askContextTokens: 8000,
+  language: 'English',
+  style: 'default',
+  streaming: true,
+  exportFormat: 'markdown',
+  exportDir: null,
+  ignoreWhitespace: true,
+  reduceNoise: true,
+  extractSymbols: true,
+  searchIndex: true,
+  filters: { include: [], exclude: [] }
+};
+
+const LAYERS = ['default', 'global', 'repo', 'cli', 'session'];
+
+// Keys that may be null and take any string, everything else follows its default's type
+const NULLABLE_KEYS = ['endpoint', 'apiKey', 'exportDir'];
+
+// Shared live configuration, updated in place so importers always see current values
+export const CONFIG = {};
+
+export function getGlobalConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || join(os.homedir(), '.config');
+  return join(base, 'git-to-text');
+}
+
+export function getGlobalConfigPath() {
+  return join(getGlobalConfigDir(), 'config.json');
+}
+
+async function readConfigFile(path) {
+  let content;
+  try {
+    content = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return {};
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid config file ${path}: ${error.message}`);
+  }
+}
+
+function assertConfigKey(key) {
+  if (!(key in DEFAULTS) || key === 'filters') {
+    throw new Error(`Unknown config key '${key}'. Available: ${Object.keys(DEFAULTS).filter(k => k !== 'filters').join(', ')}`);
+  }
+}
+
+export function parseConfigValue(key, value) {
+  assertConfigKey(key);
+
+  if (NULLABLE_KEYS.includes(key)) {
+    return value === '' || value === 'null' ? null : String(value);
+  }
+
+  switch (typeof DEFAULTS[key]) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) {
+        throw new Error(`'${key}' must be a number`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (['true', 'on', 'yes'].includes(String(value).toLowerCase())) return true;
+      if (['false', 'off', 'no'].includes(String(value).toLowerCase())) return false;
+      throw new Error(`'${key}' must be true or false`);
+    default:
+      return String(value);
+  }
+}
+
+// Keeps known keys with valid values, skipping anything else with a warning
+function sanitizeLayer(values, source) {
+  const layer = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (key === 'filters') {
+      layer.filters = {
+        include: Array.isArray(value?.include) ? value.include : [],
+        exclude: Array.isArray(value?.exclude) ? value.exclude : []
+      };
+      continue;
+    }
+
+    try {
+      layer[key] = parseConfigValue(key, value);
+    } catch (error) {
+      console.error(`Ignoring ${source} config: ${error.message}`);
+    }
+  }
+  return layer;
+}
+
+export class ConfigService {
+  constructor() {
+    this.layers = {
+      default: DEFAULTS,
+      global: {},
+      repo: {},
+      cli: {},
+      session: {}
+    };
+    this._apply();
+  }
+
+  async load(repoPath = null) {
+    this.layers.global = sanitizeLayer(await readConfigFile(getGlobalConfigPath()), 'global');
+    this.layers.repo = repoPath
+      ? sanitizeLayer(await readConfigFile(join(repoPath, CONFIG_FILE)), 'repo')
+      : {};
+    this._apply();
+    return CONFIG;
+  }
+
+  // Unlike config files, invalid flags are errors rather than warnings
+  setCliOverrides(values) {
+    this.layers.cli = Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, parseConfigValue(key, value)]));
+    this._apply();
+  }
+
+  set(key, value) {
+    this.layers.session[key] = parseConfigValue(key, value);
+    this._apply();
+    return CONFIG[key];
+  }
+
+  unset(key) {
+    assertConfigKey(key);
+    delete this.layers.session[key];
+    this._apply();
+    return CONFIG[key];
+  }
+
+  // Returns [{key, value, source}] for display
+  describe() {
+    return Object.keys(DEFAULTS)
+      .filter(key => key !== 'filters')
+      .map(key => ({
+        key,
+        value: CONFIG[key],
+        source: [...LAYERS].reverse().find(layer => key in this.layers[layer])
+      }));
+  }
+
+  _apply() {
+    const filters = { include: [], exclude: [] };
+
+    for (const layer of LAYERS) {
+      const { filters: layerFilters, ...values } = this.layers[layer];
+      Object.assign(CONFIG, values);
+      if (layerFilters) {
+        filters.include.push(...layerFilters.include);
+        filters.exclude.push(...layerFilters.exclude);
+      }
+    }
+
+    CONFIG.filters = filters;
+  }
+}
+
+export const configService = new ConfigService();
@@ -0,0 +1,199 @@
+/**
+ * Unified diff parser for git diff output
+ *
+ * Implementation:
+ * - Splits a diff into one entry per file at "diff --git" lines; hunk lines always start
+ *   with a prefix character, so content cannot be mistaken for a file header
+ * - Takes paths from the ---/+++, rename and copy lines, falling back to the
+ *   "diff --git" line only for headers without them (mode changes, empty files)
+ * - Decodes C-style quoted paths (spaces, tabs, quotes, non-ASCII bytes)
+ * - Detects added, deleted, renamed, copied and binary files from the extended header
+ * - Keeps every original line, so formatFileDiff reproduces the file's diff text exactly
+ *
+ * Data structures:
+ * - FileDiff: {oldPath: string | null, newPath: string | null, path: string,
+ *   status: added | deleted | renamed | copied | modified, similarity: number | null,
+ *   oldMode: string | null, newMode: string | null, binary: boolean, header: string[], hunks: Hunk[]}
+ * - Hunk: {oldStart, oldLines, newStart, newLines, header: string, lines: string[]}
+ */
+
+export const FILE_STATUSES = ['added', 'deleted', 'renamed', 'copied', 'modified'];
+
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Decodes a C-style quoted path as written by git for unusual characters
+function unquote(text) {
+  if (!text.startsWith('"')) return text;
+
+  const bytes = [];
+  for (let i = 1; i < text.length - 1; i++) {
+    if (text[i] !== '\\') {
+      bytes.push(...Buffer.from(text[i]));
+    } else if (/[0-7]/.test(text[i + 1])) {
+      bytes.push(parseInt(text.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      bytes.push(ESCAPES[text[i + 1]] ?? text.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Strips the a/ or b/ prefix; /dev/null stands for a missing side
+function stripPrefix(path) {
+  if (path === '/dev/null') return null;
+  return path.replace(/^[ab]\//, '');
+}
+
+// Path of a ---/+++ line; git appends a tab to names containing spaces
+function parseMarkerPath(line) {
+  return stripPrefix(unquote(line.slice(4).replace(/\t$/, '')));
+}
+
+// Paths of a "diff --git a/x b/y" line. Unquoted paths are ambiguous when they contain
+// " b/", but both sides are equal unless the file was renamed or copied, and those
+// headers carry explicit rename/copy lines
+function parseGitHeader(line) {
+  const rest = line.slice('diff --git '.length);
+
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted && (quoted[1].startsWith('"') || quoted[2].startsWith('"'))) {
+    return { oldPath: stripPrefix(unquote(quoted[1])), newPath: stripPrefix(unquote(quoted[2])) };
+  }
+
+  const length = (rest.length - 5) / 2;
+  if (Number.isInteger(length) && rest.slice(2, 2 + length) === rest.slice(5 + length)) {
+    const path = rest.slice(2, 2 + length);
+    return { oldPath: path, newPath: path };
+  }
+
+  const [oldPath, newPath] = rest.split(' b/');
+  return { oldPath: stripPrefix(oldPath), newPath: newPath ?? null };
+}
+
+function createFile(line) {
+  return {
+    ...parseGitHeader(line),
+    path: null,
+    status: 'modified',
+    similarity: null,
+    oldMode: null,
+    newMode: null,
+    binary: false,
+    header: [line],
+    hunks: []
+  };
+}
+
+// Applies one extended header line (before the first hunk) to the file entry
+function applyHeaderLine(file, line) {
+  file.header.push(line);
+
+  if (line.startsWith('new file mode')) {
+    file.status = 'added';
+    file.oldPath = null;
+  } else if (line.startsWith('deleted file mode')) {
+    file.status = 'deleted';
+    file.newPath = null;
+  } else if (line.startsWith('rename from ')) {
+    file.status = 'renamed';
+    file.oldPath = unquote(line.slice('rename from '.length));
+  } else if (line.startsWith('rename to ')) {
+    file.newPath = unquote(line.slice('rename to '.length));
+  } else if (line.startsWith('copy from ')) {
+    file.status = 'copied';
+    file.oldPath = unquote(line.slice('copy from '.length));
+  } else if (line.startsWith('copy to ')) {
+    file.newPath = unquote(line.slice('copy to '.length));
+  } else if (line.startsWith('old mode ')) {
+    file.oldMode = line.slice('old mode '.length);
+  } else if (line.startsWith('new mode ')) {
+    file.newMode = line.slice('new mode '.length);
+  } else if (line.startsWith('similarity index ')) {
+    file.similarity = parseInt(line.slice('similarity index '.length));
+  } else if (line.startsWith('--- ')) {
+    file.oldPath = parseMarkerPath(line);
+  } else if (line.startsWith('+++ ')) {
+    file.newPath = parseMarkerPath(line);
+  } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+    file.binary = true;
+  }
+}
+
+export function parseDiff(diff) {
+  const files = [];
+  let file = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = createFile(line);
+      files.push(file);
+      continue;
+    }
+    if (!file) continue;
+
+    const hunkHeader = line.match(HUNK_HEADER_PATTERN);
+    if (hunkHeader) {
+      file.hunks.push({
+        oldStart: parseInt(hunkHeader[1]),
+        oldLines: hunkHeader[2] === undefined ? 1 : parseInt(hunkHeader[2]),
+        newStart: parseInt(hunkHeader[3]),
+        newLines: hunkHeader[4] === undefined ? 1 : parseInt(hunkHeader[4]),
+        header: line,
+        lines: []
+      });
+    } else if (file.hunks.length > 0) {
+      file.hunks[file.hunks.length - 1].lines.push(line);
+    } else {
+      applyHeaderLine(file, line);
+    }
+  }
+
+  for (const entry of files) {
+    // A trailing newline of the whole diff leaves an empty last line
+    const lastHunk = entry.hunks[entry.hunks.length - 1];
+    if (lastHunk && lastHunk.lines[lastHunk.lines.length - 1] === '') lastHunk.lines.pop();
+    if (!lastHunk && entry.header[entry.header.length - 1] === '') entry.header.pop();
+    entry.path = entry.newPath ?? entry.oldPath;
+  }
+  return files;
+}
+
+// The file's original diff text
+export function formatFileDiff(file) {
+  return [...file.header, ...file.hunks.flatMap(hunk => [hunk.header, ...hunk.lines])].join('\n');
+}
+
+export function formatDiff(files) {
+  return files.map(formatFileDiff).join('\n');
+}
+
+// Lines added and removed by a file's hunks
+export function countChanges(file) {
+  let added = 0;
+  let removed = 0;
+  for (const line of file.hunks.flatMap(hunk => hunk.lines)) {
+    if (line.startsWith('+')) added++;
+    else if (line.startsWith('-')) removed++;
+  }
+  return { added, removed };
+}
+
+// One-line description of what happened to a file, e.g. "renamed a.js -> b.js (92% similar)"
+export function describeFileDiff(file) {
+  const kind = file.binary ? 'binary file' : 'file';
+  switch (file.status) {
+    case 'added':
+      return `${kind} added: ${file.path}`;
+    case 'deleted':
+      return `${kind} deleted: ${file.path}${file.binary ? '' : ` (${countChanges(file).removed} lines removed)`}`;
+    case 'renamed':
+    case 'copied':
+      return `${kind} ${file.status}: ${file.oldPath} -> ${file.newPath}${file.similarity !== null ? ` (${file.similarity}% similar)` : ''}`;
+    default:
+      return `${kind} modified: ${file.path}${file.oldMode ? ` (mode ${file.oldMode} -> ${file.newMode})` : ''}`;
+  }
+}
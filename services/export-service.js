@@ -0,0 +1,230 @@
+/**
+ * Feature export renderers
+ *
+ * Implementation:
+ * - Renders analyzed features and the consolidated summary into a single file
+ * - Keeps each feature's commit range, authors and date so exports can be traced back to history
+ * - Produces self-contained output: HTML embeds its styles, JSON carries run metadata
+ * - Escapes values for the target format (HTML entities, RFC 4180 CSV quoting)
+ * - Resolves output paths against the repository or the configured export directory
+ *
+ * Formats:
+ * - markdown: Readable report with a summary and one section per feature
+ * - json: {repository, projectType, exportedAt, provider, model, language, summary, features, ranges}
+ * - html: Standalone page with the summary and a feature table
+ * - csv: One row per feature (category, title, details, files, authors, date, from, to)
+ * - log: Plain text layout of earlier versions
+ *
+ * Export data: {repoPath, projectType, exportedAt, provider, model, language, summary,
+ *   features: (Feature & {authors: string[], date})[], ranges: {type, from, to, date, files, commits, skipped, symbols}[]}
+ */
+
+import fs from 'fs/promises';
+import { basename, resolve, join } from 'path';
+import { CONFIG } from './config-service.js';
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md' },
+  json: { extension: 'json' },
+  html: { extension: 'html' },
+  csv: { extension: 'csv' },
+  log: { extension: 'log' }
+};
+
+// Maps a file name to its export format, or null for unknown extensions
+export function getFormatForPath(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  if (extension === 'htm') return 'html';
+  const entry = Object.entries(EXPORT_FORMATS).find(([, format]) => format.extension === extension);
+  return entry ? entry[0] : null;
+}
+
+async function isDirectory(path) {
+  try {
+    return (await fs.stat(path)).isDirectory();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return false;
+  }
+}
+
+// Path is a file or directory relative to the repository; without one, or for a directory,
+// fileName is placed in it, defaulting to the exportDir setting, then the repository root
+export async function resolveOutputPath(repoPath, path, fileName) {
+  const target = resolve(repoPath, path || CONFIG.exportDir || '.');
+  return !path || /[\\/]$/.test(path) || await isDirectory(target)
+    ? join(target, fileName)
+    : target;
+}
+
+export function getTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+export function shortHash(ref) {
+  return /^[0-9a-f]{40}$/.test(ref) ? ref.substring(0, 7) : ref;
+}
+
+function formatRange(range) {
+  return range ? `${shortHash(range.from)}..${shortHash(range.to)}` : '';
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderMarkdown(data) {
+  const lines = [
+    `# ${basename(data.repoPath)} features`,
+    '',
+    `- Repository: ${data.repoPath}`,
+    `- Project type: ${data.projectType}`,
+    `- Exported: ${data.exportedAt}`,
+    `- Model: ${data.provider}/${data.model}`
+  ];
+
+  if (data.summary) {
+    lines.push('', '## Summary', '', data.summary.trim());
+  }
+
+  if (data.features.length > 0) {
+    lines.push('', '## Features');
+    for (const feature of data.features) {
+      lines.push('', `### [${feature.category}] ${feature.title}`, '');
+      const meta = [
+        feature.range && `Range: \`${formatRange(feature.range)}\``,
+        feature.authors.length > 0 && `Authors: ${feature.authors.join(', ')}`,
+        feature.date && `Date: ${feature.date.substring(0, 10)}`,
+        feature.files.length > 0 && `Files: ${feature.files.map(file => `\`${file}\``).join(', ')}`
+      ].filter(Boolean);
+      if (meta.length > 0) lines.push(...meta.map(line => `${line}  `), '');
+      feature.details.forEach(detail => lines.push(`- ${detail}`));
+    }
+  }
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n')}\n`;
+}
+
+function renderJson(data) {
+  const { repoPath, ...rest } = data;
+  return `${JSON.stringify({ repository: repoPath, ...rest }, null, 2)}\n`;
+}
+
+function renderHtml(data) {
+  const rows = data.features.map(feature => `      <tr>
+        <td><span class="category ${escapeHtml(feature.category)}">${escapeHtml(feature.category)}</span></td>
+        <td><strong>${escapeHtml(feature.title)}</strong>${feature.details.length > 0
+          ? `<ul>${feature.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+          : ''}</td>
+        <td>${feature.files.map(file => `<code>${escapeHtml(file)}</code>`).join('<br>')}</td>
+        <td>${escapeHtml(feature.authors.join(', '))}${feature.date ? `<br>${escapeHtml(feature.date.substring(0, 10))}` : ''}</td>
+        <td><code>${escapeHtml(formatRange(feature.range))}</code></td>
+      </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(basename(data.repoPath))} features</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    .meta { color: #666; }
+    pre { white-space: pre-wrap; background: #f6f8fa; padding: 1rem; border-radius: 6px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #ddd; }
+    ul { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+    .category { padding: 0.1rem 0.4rem; border-radius: 4px; background: #eee; font-size: 0.85em; }
+    .added { background: #dcfce7; } .changed { background: #dbeafe; }
+    .fixed { background: #fef9c3; } .removed { background: #fee2e2; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(basename(data.repoPath))} features</h1>
+  <p class="meta">${escapeHtml(data.repoPath)} &middot; ${escapeHtml(data.projectType)} &middot; exported ${escapeHtml(data.exportedAt)} &middot; ${escapeHtml(`${data.provider}/${data.model}`)}</p>
+${data.summary ? `  <h2>Summary</h2>\n  <pre>${escapeHtml(data.summary.trim())}</pre>\n` : ''}${data.features.length > 0 ? `  <h2>Features</h2>
+  <table>
+    <thead>
+      <tr><th>Category</th><th>Feature</th><th>Files</th><th>Authors</th><th>Range</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+` : ''}</body>
+</html>
+`;
+}
+
+function renderCsv(data) {
+  const header = ['category', 'title', 'details', 'files', 'authors', 'date', 'from', 'to'];
+  const rows = data.features.map(feature => [
+    feature.category,
+    feature.title,
+    feature.details.join('; '),
+    feature.files.join(' '),
+    feature.authors.join('; '),
+    feature.date,
+    feature.range?.from,
+    feature.range?.to
+  ]);
+  return `${[header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+function renderLog(data) {
+  let content = `Repository: ${data.repoPath}\n`;
+  content += `Project Type: ${data.projectType}\n`;
+  content += `Export Time: ${data.exportedAt}\n\n`;
+
+  if (data.features.length > 0) {
+    content += `Individual Features:\n`;
+    content += `-------------------\n`;
+    data.features.forEach((feature, index) => {
+      content += `\nFeature ${index + 1} [${feature.category}]: ${feature.title}\n`;
+      if (feature.range) {
+        content += `Range: ${feature.range.from} → ${feature.range.to}\n`;
+      }
+      if (feature.authors.length > 0) {
+        content += `Authors: ${feature.authors.join(', ')}\n`;
+      }
+      if (feature.files.length > 0) {
+        content += `Files: ${feature.files.join(', ')}\n`;
+      }
+      feature.details.forEach(detail => {
+        content += `  - ${detail}\n`;
+      });
+    });
+  }
+
+  if (data.summary) {
+    content += `\nConsolidated Features:\n`;
+    content += `--------------------\n`;
+    content += data.summary;
+  }
+
+  return content;
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  json: renderJson,
+  html: renderHtml,
+  csv: renderCsv,
+  log: renderLog
+};
+
+export function renderExport(format, data) {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown export format '${format}'. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return render(data);
+}
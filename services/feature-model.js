@@ -0,0 +1,89 @@
+/**
+ * Structured feature model and LLM response parsing
+ *
+ * Implementation:
+ * - Defines the feature shape shared by analysis, summarization and export
+ * - Parses JSON model output, repairing common formatting damage
+ * - Normalizes partial or loosely typed features into the full shape
+ * - Formats features back to markdown bullets for summarization prompts
+ *
+ * Data structures:
+ * - Feature: {title: string, details: string[], files: string[], category: string,
+ *   range: {from: string, to: string} | null}
+ * - Category: added | changed | fixed | removed
+ */
+
+export const FEATURE_CATEGORIES = ['added', 'changed', 'fixed', 'removed'];
+
+// JSON shape requested from the model, embedded in the analysis prompt
+export const FEATURE_SCHEMA = `{
+  "features": [
+    {
+      "title": "short feature description",
+      "details": ["implementation and parameter detail", "..."],
+      "files": ["path/of/affected/file"],
+      "category": "${FEATURE_CATEGORIES.join(' | ')}"
+    }
+  ]
+}`;
+
+function toStringList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  }
+  return typeof value === 'string' && value.trim() ? [value.trim()] : [];
+}
+
+export function normalizeFeature(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) return null;
+
+  const category = String(raw.category || '').toLowerCase();
+  const files = toStringList(raw.files);
+
+  return {
+    title,
+    details: toStringList(raw.details),
+    files: files.length > 0 ? files : (defaults.files || []),
+    category: FEATURE_CATEGORIES.includes(category) ? category : 'changed',
+    range: raw.range || defaults.range || null
+  };
+}
+
+// Strips code fences and surrounding prose, keeping the outermost JSON value
+function repairJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  const start = unfenced.search(/[[{]/);
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+  if (start === -1 || end < start) return unfenced;
+  return unfenced.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+}
+
+// Parses model output as JSON, retrying once on the repaired text
+export function parseJsonResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return JSON.parse(repairJson(text));
+  }
+}
+
+// Returns normalized features, or throws when the response holds no usable JSON
+export function parseFeatureResponse(text, defaults = {}) {
+  const parsed = parseJsonResponse(text);
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.features;
+  if (!Array.isArray(list)) {
+    throw new Error('Response has no "features" array');
+  }
+
+  return list.map(item => normalizeFeature(item, defaults)).filter(Boolean);
+}
+
+export function formatFeature(feature) {
+  const lines = [`- ${feature.title} (${feature.category})`];
+  feature.details.forEach(detail => lines.push(`  - ${detail}`));
+  return lines.join('\n');
+}
@@ -6,58 +6,303 @@
  * - Handles feature consolidation and summarization
  * - Provides export and documentation capabilities
  * - Tracks feature processing state
+ * - Reuses cached analysis results for previously analyzed ranges
+ * - Analyzes up to `concurrency` diffs at once, collecting features in diff order
+ * - Checkpoints each finished diff for /resume and stops early on request (SIGINT)
+ * - Records the last documented commit inside generated documents
+ * - Holds analyzed features as structured objects (see feature-model.js)
+ * - Keeps each analyzed range with its date, changed files and symbols, skipped noise files
+ *   and features for reports and exports
+ * - Splits features by monorepo scope, using their files or else their range's changed files
+ * - Adds each run's features and ranges to the semantic search index
  * 
  * Features:
  * - Feature extraction from git diffs
  * - Feature consolidation and grouping
  * - Documentation generation
- * - Export functionality
+ * - Export to Markdown, JSON, HTML, CSV or plain text (export-service.js)
+ * - Incremental documentation updates since the last documented commit
+ * - One document per scope (package) from a single analysis run
  */
 
 import fs from 'fs/promises';
-import { resolve } from 'path';
+import { resolve, dirname, basename, join } from 'path';
 import { formatOutput, COLORS } from './cli-service.js';
-import { analyzeGitDiff, summarizeFeatures, updateDoc } from './git-analyzer.js';
+import { analyzeGitDiff, summarizeFeatures, updateDoc, ANALYZE_PROMPT_VERSION } from './git-analyzer.js';
+import { onRequestActivity } from './llm-service.js';
+import { getDiffFiles } from './git-service.js';
+import { mapConcurrent, writeOutput } from './worker-pool.js';
+import { formatSkipped } from './noise-filter.js';
 import { progressService } from './progress-service.js';
-import { CONFIG } from './ollama.js';
+import { cacheService } from './cache-service.js';
+import { checkpointService, getCheckpointKey } from './checkpoint-service.js';
+import { promptService } from './prompt-service.js';
+import { scopeService } from './scope-service.js';
+import { searchService } from './search-service.js';
+import { CONFIG } from './config-service.js';
+import {
+  EXPORT_FORMATS,
+  getFormatForPath,
+  renderExport,
+  resolveOutputPath,
+  getTimestamp
+} from './export-service.js';
+
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Last documented commit, stored as a trailing HTML comment so it does not render
+const DOC_STATE_PATTERN = /\s*<!-- git-to-text: last-commit=([0-9a-f]{7,40}) -->\s*$/;
+
+export function readDocState(content) {
+  return content.match(DOC_STATE_PATTERN)?.[1] || null;
+}
+
+function stripDocState(content) {
+  return content.replace(DOC_STATE_PATTERN, '');
+}
+
+function appendDocState(content, commitHash) {
+  return `${content.trimEnd()}\n\n<!-- git-to-text: last-commit=${commitHash} -->\n`;
+}
+
+// Identifies the two ends of a diff range for display and cache keys
+function getRangeEnds(diff, type) {
+  return type === 'commit'
+    ? { from: diff.fromCommit.hash, to: diff.toCommit.hash }
+    : { from: diff.fromTag, to: diff.toTag };
+}
+
+// Commits both ends of a diff range resolved to; tag ranges name symbolic refs such as HEAD,
+// so cache and checkpoint entries are keyed on these to stop matching once the refs move
+function getRangeHashes(diff, type) {
+  return type === 'commit'
+    ? { from: diff.fromCommit.hash, to: diff.toCommit.hash }
+    : { from: diff.fromHash, to: diff.toHash };
+}
+
+// Date of the range's newest end, as an ISO string when known
+function getRangeDate(diff, type) {
+  const date = type === 'commit' ? diff.toCommit.date : diff.date;
+  return date ? new Date(date).toISOString() : null;
+}
+
+function indexRanges(ranges) {
+  return new Map(ranges.map(range => [`${range.from}..${range.to}`, range]));
+}
+
+function getFeatureRange(rangesByKey, feature) {
+  return feature.range ? rangesByKey.get(`${feature.range.from}..${feature.range.to}`) : null;
+}
 
 export class FeatureService {
   constructor() {
     this.features = '';
     this.allFeatures = [];
+    this.ranges = [];
+    // Commit the analyzed history reaches, stamped into documents for /doc --since-last
+    this.lastCommit = null;
+    this.running = null;
+    this.stopRequested = false;
+  }
+
+  isProcessing() {
+    return this.running !== null;
+  }
+
+  // Lets in-flight diffs finish and skips the rest; resolves once the run has settled
+  requestStop() {
+    this.stopRequested = true;
+    return this.running || Promise.resolve();
+  }
+
+  // Options: run: {command, args} checkpoints each finished diff so /resume can repeat the run,
+  // resume: a saved checkpoint whose completed ranges are reused instead of analyzed again
+  async processDiffs(diffs, type, options = {}) {
+    const run = this._processDiffs(diffs, type, options);
+    this.running = run.catch(() => {});
+    try {
+      return await run;
+    } finally {
+      this.running = null;
+      this.stopRequested = false;
+    }
   }
 
-  async processDiffs(diffs, type) {
+  async _processDiffs(diffs, type, { run = null, resume = null }) {
     const startTime = process.hrtime.bigint();
+    // A summary of earlier features would not describe this run
+    this.features = '';
     this.allFeatures = [];
+    this.ranges = [];
+    this.lastCommit = null;
+    let cachedCount = 0;
+    let resumedCount = 0;
+    let completed = 0;
 
-    for (let i = 0; i < diffs.length; i++) {
-      const diff = diffs[i];
-      const diffMessage = type === 'commit'
-        ? `${diff.fromCommit.hash === '4b825dc642cb6eb9a060e54bf8d69288fbee4904'
-          ? 'empty tree'
-          : diff.fromCommit.hash.substring(0, 7)} → ${diff.toCommit.hash.substring(0, 7)}`
-        : `${diff.fromTag} → ${diff.toTag}`;
+    // Checkpointed ranges whose ends no longer resolve to the same commits are analyzed again
+    const rangeKeys = new Set(diffs.map(diff => {
+      const { from, to } = getRangeHashes(diff, type);
+      return getCheckpointKey(from, to);
+    }));
+    const resumed = Object.entries(resume?.completed || {});
+    const stale = resumed.filter(([key]) => !rangeKeys.has(key)).length;
+    if (stale > 0) {
+      console.log(formatOutput('warning', `${stale} checkpointed ${type} range${stale === 1 ? ' no longer matches' : 's no longer match'} the history and will be analyzed again`));
+    }
+
+    const checkpoint = run && {
+      ...run,
+      type,
+      total: diffs.length,
+      completed: Object.fromEntries(resumed.filter(([key]) => rangeKeys.has(key))),
+      startedAt: resume?.startedAt || new Date().toISOString()
+    };
+    const recordDiff = async (key, features) => {
+      if (!checkpoint) return;
+      checkpoint.completed[key] = features;
+      await checkpointService.save(checkpoint);
+    };
+    if (checkpoint) await checkpointService.save(checkpoint);
+    const promptVersion = `${ANALYZE_PROMPT_VERSION}:${await promptService.getVersion('analyze')}`;
+
+    const showProgress = (active = 0, queued = 0) => {
+      progressService.updateProgress(completed, diffs.length, `Processing ${type}`,
+        `${active} in flight${queued > 0 ? `, ${queued} queued` : ''}`);
+    };
+    const stopProgress = CONFIG.streaming ? () => {} : onRequestActivity(showProgress);
+
+    const processDiff = async (diff, i) => {
+      const { from, to } = getRangeEnds(diff, type);
+      const diffMessage = (type === 'commit'
+        ? `${from === EMPTY_TREE_HASH ? 'empty tree' : from.substring(0, 7)} → ${to.substring(0, 7)}`
+        : `${from} → ${to}`) + (diff.bucket ? ` (${diff.bucket})` : '');
+
+      const hashes = getRangeHashes(diff, type);
+      const checkpointKey = getCheckpointKey(hashes.from, hashes.to);
+      const resumedFeatures = checkpoint?.completed[checkpointKey];
+      if (resumedFeatures) {
+        resumedCount++;
+        return resumedFeatures;
+      }
 
       if (!diff.diff) {
-        console.log(formatOutput('warning', `No changes found for ${type} ${i + 1}/${diffs.length}`));
-        continue;
+        writeOutput(`${formatOutput('warning', `No changes found for ${type} ${i + 1}/${diffs.length}`)}\n`);
+        await recordDiff(checkpointKey, []);
+        return [];
+      }
+
+      const cacheKey = {
+        from: hashes.from,
+        to: hashes.to,
+        diff: diff.diff,
+        symbols: diff.symbols || [],
+        provider: CONFIG.provider,
+        model: CONFIG.model,
+        language: CONFIG.language,
+        promptVersion
+      };
+
+      const cachedFeatures = await cacheService.get(cacheKey);
+      if (cachedFeatures) {
+        cachedCount++;
+        if (CONFIG.streaming) {
+          writeOutput(`${formatOutput('dim', `\nUsing cached analysis for ${type} ${i + 1}/${diffs.length}: ${diffMessage}`)}\n`);
+        }
+        await recordDiff(checkpointKey, cachedFeatures);
+        return cachedFeatures;
       }
 
       if (CONFIG.streaming) {
-        console.log(`\n${COLORS.BOLD}Processing ${type} ${i + 1}/${diffs.length}: ${diffMessage}${COLORS.RESET}`);
-        const diffFeatures = await analyzeGitDiff(diff.diff);
-        this.allFeatures.push(...diffFeatures);
-      } else {
-        progressService.updateProgress(i + 1, diffs.length, `Processing ${type}`);
-        const diffFeatures = await analyzeGitDiff(diff.diff);
-        this.allFeatures.push(...diffFeatures);
+        writeOutput(`\n${COLORS.BOLD}Processing ${type} ${i + 1}/${diffs.length}: ${diffMessage}${COLORS.RESET}\n`);
+        if (diff.skipped?.length > 0) {
+          writeOutput(`${formatOutput('dim', `Skipped ${formatSkipped(diff.skipped)}`)}\n`);
+        }
+      }
+
+      const diffFeatures = await analyzeGitDiff(diff.diff, { from, to }, {
+        ...(diff.commits ? { commits: diff.commits } : { commitMessages: diff.message ? [diff.message] : [] }),
+        symbols: diff.symbols || []
+      });
+      await cacheService.set(cacheKey, diffFeatures);
+      await recordDiff(checkpointKey, diffFeatures);
+      return diffFeatures;
+    };
+
+    let results;
+    try {
+      // Each diff's streamed output is buffered and printed whole when its analysis ends
+      results = await mapConcurrent(diffs, async (diff, i) => {
+        const features = await processDiff(diff, i);
+        completed++;
+        if (!CONFIG.streaming) showProgress();
+        return features;
+      }, { concurrency: CONFIG.concurrency, shouldStop: () => this.stopRequested });
+    } catch (error) {
+      if (checkpoint) {
+        console.log(formatOutput('warning', `\nProgress saved after ${completed}/${diffs.length} ${type} ranges. Use /resume to continue.`));
+      }
+      throw error;
+    } finally {
+      stopProgress();
+    }
+
+    this.allFeatures = results.flat().filter(Boolean);
+    this.ranges = diffs
+      .map((diff, i) => ({
+        type,
+        ...getRangeEnds(diff, type),
+        date: getRangeDate(diff, type),
+        label: diff.bucket || null,
+        files: getDiffFiles(diff.diff || ''),
+        commits: diff.commits || [],
+        skipped: diff.skipped || [],
+        symbols: diff.symbols || [],
+        features: results[i]
+      }))
+      .filter(range => range.features);
+    // Only as far as every earlier range was analyzed too, so no commit is marked documented unseen
+    const firstMissing = results.findIndex(features => !features);
+    const analyzedCount = firstMissing === -1 ? diffs.length : firstMissing;
+    this.lastCommit = analyzedCount > 0 ? getRangeHashes(diffs[analyzedCount - 1], type).to : null;
+    if (completed < diffs.length) {
+      if (checkpoint) {
+        console.log(formatOutput('warning', `\nProgress saved after ${completed}/${diffs.length} ${type} ranges. Use /resume to continue.`));
       }
+      throw new Error('Analysis interrupted');
     }
+    if (checkpoint) await checkpointService.clear();
 
     const endTime = process.hrtime.bigint();
     const duration = Number(endTime - startTime) / 1e9;
     console.log(formatOutput('success', `\nDiff processing took ${duration.toFixed(2)} seconds`));
+    if (cachedCount > 0) {
+      console.log(formatOutput('dim', `Reused cached analysis for ${cachedCount}/${diffs.length} ${type} ranges`));
+    }
+    if (resumedCount > 0) {
+      console.log(formatOutput('dim', `Resumed ${resumedCount}/${diffs.length} ${type} ranges from the checkpoint`));
+    }
+    const skipped = this.ranges.flatMap(range => range.skipped);
+    if (skipped.length > 0) {
+      const lines = skipped.reduce((sum, file) => sum + file.lines, 0);
+      console.log(formatOutput('dim', `Noise reduction skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'} (${lines} changed lines)`));
+    }
+
+    if (CONFIG.searchIndex) await this.updateSearchIndex();
+  }
+
+  // Embeds new features and ranges for /search; the analysis stands even when this fails,
+  // and after a failure the index is left alone for the rest of the session
+  async updateSearchIndex() {
+    if (searchService.getFailure()) return;
+
+    try {
+      const { added, removed, total } = await searchService.update(this.ranges);
+      if (added > 0 || removed > 0) {
+        console.log(formatOutput('dim', `Search index updated: ${added} added, ${removed} removed, ${total} entries`));
+      }
+    } catch (error) {
+      console.log(formatOutput('warning', `Search index not updated (embedding model ${CONFIG.embeddingModel}): ${error.message}. Indexing is off for this session.`));
+    }
   }
 
   async consolidateFeatures() {
@@ -83,62 +328,135 @@ export class FeatureService {
     return this.features;
   }
 
-  async exportFeatures(repoPath, projectType) {
-    if (this.features.length === 0 && this.allFeatures.length === 0) {
+  // Options: format (defaults to the path's extension, then exportFormat), path: file or
+  // directory relative to the repository (defaults to exportDir, then the repository root)
+  async exportFeatures(repoPath, projectType, { format = null, path = null } = {}) {
+    if (!this.hasFeatures()) {
       throw new Error('No features to export');
     }
 
-    const repoName = repoPath.split('/').pop();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const exportFile = `${repoName}-features-${timestamp}.log`;
+    const exportFormat = format || (path && getFormatForPath(path)) || CONFIG.exportFormat;
+    if (!EXPORT_FORMATS[exportFormat]) {
+      throw new Error(`Unknown export format '${exportFormat}'. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
 
-    let exportContent = `Repository: ${repoPath}\n`;
-    exportContent += `Project Type: ${projectType}\n`;
-    exportContent += `Export Time: ${new Date().toISOString()}\n\n`;
+    const fileName = `${basename(repoPath)}-features-${getTimestamp()}.${EXPORT_FORMATS[exportFormat].extension}`;
+    const exportFile = await resolveOutputPath(repoPath, path, fileName);
 
-    if (this.allFeatures.length > 0) {
-      exportContent += `Individual Feature Summaries:\n`;
-      exportContent += `------------------------\n`;
-      this.allFeatures.forEach((feature, index) => {
-        exportContent += `\nFeature Set ${index + 1}:\n${feature}\n`;
-      });
-    }
+    // Attribute each feature to the authors and newest commit date of its range
+    const rangesByKey = indexRanges(this.ranges);
+    const features = this.allFeatures.map(feature => {
+      const commits = getFeatureRange(rangesByKey, feature)?.commits || [];
+      return {
+        ...feature,
+        authors: [...new Set(commits.map(commit => commit.author))],
+        date: commits.length > 0 ? new Date(commits[0].date).toISOString() : null
+      };
+    });
+
+    const content = renderExport(exportFormat, {
+      repoPath,
+      projectType,
+      exportedAt: new Date().toISOString(),
+      provider: CONFIG.provider,
+      model: CONFIG.model,
+      language: CONFIG.language,
+      summary: this.features,
+      features,
+      ranges: this.ranges.map(({ features, ...range }) => range)
+    });
+
+    await fs.mkdir(dirname(exportFile), { recursive: true });
+    await fs.writeFile(exportFile, content);
+    return { path: exportFile, format: exportFormat };
+  }
 
-    if (this.features.length > 0) {
-      exportContent += `\nConsolidated Features:\n`;
-      exportContent += `--------------------\n`;
-      exportContent += this.features;
+  async readDocument(repoPath, filePath) {
+    try {
+      return await fs.readFile(resolve(repoPath, filePath), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return '';
     }
+  }
 
-    await fs.writeFile(exportFile, exportContent);
-    return exportFile;
+  async getDocumentedCommit(repoPath, filePath) {
+    return readDocState(await this.readDocument(repoPath, filePath));
   }
 
-  async generateDocumentation(repoPath, filePath) {
-    if (this.allFeatures.length === 0) {
+  // Writes features into a document, merging them into its existing content
+  async _writeDocument(repoPath, filePath, features, lastCommit) {
+    const content = stripDocState(await this.readDocument(repoPath, filePath));
+
+    if (features.length === 0 && !content) {
       throw new Error('No features to document');
     }
 
-    let content = '';
-    if (filePath) {
-      try {
-        content = await fs.readFile(resolve(repoPath, filePath), 'utf8');
-      } catch (error) {
-        if (error.code !== 'ENOENT') throw error;
-      }
+    // With no new features an existing document only needs its recorded commit moved forward
+    let text = content;
+    if (features.length > 0) {
+      text = content
+        ? await updateDoc(content, features)
+        : await summarizeFeatures(features);
+    }
 
-      this.features = content
-        ? await updateDoc(content, this.allFeatures)
-        : await summarizeFeatures(this.allFeatures);
+    const output = lastCommit ? appendDocState(text, lastCommit) : text;
+    await fs.writeFile(resolve(repoPath, filePath), output);
+    return { text, updated: !!content };
+  }
 
-      await fs.writeFile(resolve(repoPath, filePath), this.features);
-      return { updated: !!content, path: filePath };
+  async generateDocumentation(repoPath, filePath, lastCommit = null) {
+    if (filePath) {
+      const { text, updated } = await this._writeDocument(repoPath, filePath, this.allFeatures, lastCommit);
+      this.features = text;
+      return { updated, path: filePath, lastCommit };
+    }
+
+    if (this.allFeatures.length === 0) {
+      throw new Error('No features to document');
     }
 
     this.features = await summarizeFeatures(this.allFeatures);
     return { features: this.features };
   }
 
+  // Features belonging to a scope: those whose files lie in it, or for features without
+  // files inside any scope, those whose range changed files in it
+  getScopeFeatures(scopePath) {
+    const rangesByKey = indexRanges(this.ranges);
+    const inScope = files => files.some(file => scopeService.getScopeForFile(file)?.path === scopePath);
+    const inAnyScope = files => files.some(file => scopeService.getScopeForFile(file));
+
+    return this.allFeatures.filter(feature => inAnyScope(feature.files)
+      ? inScope(feature.files)
+      : inScope(getFeatureRange(rangesByKey, feature)?.files || []));
+  }
+
+  // Writes <scope>/<fileName> for every scope with features, summarized for the scope's project type
+  async generateScopedDocumentation(repoPath, fileName, lastCommit = null) {
+    if (!scopeService.isScoped()) {
+      throw new Error('No scopes set');
+    }
+    if (this.allFeatures.length === 0) {
+      throw new Error('No features to document');
+    }
+
+    const documents = [];
+    for (const scope of scopeService.getScopes()) {
+      const features = this.getScopeFeatures(scope.path);
+      if (features.length === 0) {
+        documents.push({ scope: scope.path, path: null, features: 0 });
+        continue;
+      }
+
+      const path = join(scope.path, fileName);
+      const { updated } = await promptService.withProjectType(scope.projectType,
+        () => this._writeDocument(repoPath, path, features, lastCommit));
+      documents.push({ scope: scope.path, path, updated, features: features.length });
+    }
+    return { documents, lastCommit };
+  }
+
   hasFeatures() {
     return this.features.length > 0 || this.allFeatures.length > 0;
   }
@@ -146,6 +464,8 @@ export class FeatureService {
   reset() {
     this.features = '';
     this.allFeatures = [];
+    this.ranges = [];
+    this.lastCommit = null;
   }
 }
 
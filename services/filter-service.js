@@ -0,0 +1,166 @@
+/**
+ * Source file filter service
+ *
+ * Implementation:
+ * - Combines the project type's extension list with include and exclude globs
+ * - Reads exclude rules from .gittotextignore (gitignore syntax) in the repository root
+ * - Reads include/exclude globs from the "filters" config section (global and repository)
+ * - Accepts extra session rules from the /include and /exclude commands
+ * - Counts the distinct files each exclude rule dropped and each include rule added
+ * - Checks extensions against the languages of the component containing each file,
+ *   so every package of a monorepo or polyglot repository keeps its own sources
+ *
+ * Decision order:
+ * 1. Included if the extension belongs to the file's component languages (or, without
+ *    detected components, the project type) or an include glob matches
+ * 2. Dropped if any exclude rule matches (session, config, then .gittotextignore)
+ *
+ * Dependencies: ignore for gitignore pattern matching, project-analyzer.js for extensions and components,
+ * config-service.js for configured filters
+ */
+
+import fs from 'fs/promises';
+import { join } from 'path';
+import ignore from 'ignore';
+import { isSourceFile, getFileComponent } from './project-analyzer.js';
+import { CONFIG } from './config-service.js';
+
+export const IGNORE_FILE = '.gittotextignore';
+
+// Pseudo-rule credited with files the extension list of their component or project type rejects
+const EXTENSION_RULE = 'extension: not a source file for this component';
+
+async function readOptional(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+export class FilterService {
+  constructor() {
+    this.rules = {
+      config: { include: [], exclude: [] },
+      ignoreFile: [],
+      session: { include: [], exclude: [] }
+    };
+    this.components = [];
+    this._compile();
+  }
+
+  // Components from detectComponents; files are checked against their component's languages
+  setComponents(components) {
+    this.components = components;
+    this.counts = new Map();
+  }
+
+  // Call after the repository's config is loaded so configured filters are current
+  async load(repoPath) {
+    const ignoreContent = await readOptional(join(repoPath, IGNORE_FILE));
+
+    this.rules = {
+      config: {
+        include: [...CONFIG.filters.include],
+        exclude: [...CONFIG.filters.exclude]
+      },
+      ignoreFile: ignoreContent
+        ? ignoreContent.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'))
+        : [],
+      session: { include: [], exclude: [] }
+    };
+    this._compile();
+  }
+
+  addInclude(patterns) {
+    this.rules.session.include.push(...patterns);
+    this._compile();
+  }
+
+  addExclude(patterns) {
+    this.rules.session.exclude.push(...patterns);
+    this._compile();
+  }
+
+  clearSession() {
+    this.rules.session = { include: [], exclude: [] };
+    this._compile();
+  }
+
+  // projectType applies to files outside every detected component
+  isIncluded(filePath, projectType) {
+    const languages = getFileComponent(this.components, filePath)?.languages || projectType;
+    if (!isSourceFile(filePath, languages)) {
+      const rule = this._matchRule(this.includeMatchers, filePath);
+      if (!rule) {
+        this._record(EXTENSION_RULE, filePath);
+        return false;
+      }
+      this._record(rule, filePath);
+    }
+
+    const rule = this._matchRule(this.excludeMatchers, filePath);
+    if (rule) {
+      this._record(rule, filePath);
+      return false;
+    }
+
+    return true;
+  }
+
+  // Rules with the distinct files each one added or dropped since rules last changed
+  getSummary() {
+    const withCounts = (source, patterns) => patterns.map(pattern => ({
+      source,
+      pattern,
+      files: this.counts.get(`${source}: ${pattern}`)?.size || 0
+    }));
+
+    return {
+      include: [
+        ...withCounts('session', this.rules.session.include),
+        ...withCounts('config', this.rules.config.include)
+      ],
+      exclude: [
+        ...withCounts('session', this.rules.session.exclude),
+        ...withCounts('config', this.rules.config.exclude),
+        ...withCounts(IGNORE_FILE, this.rules.ignoreFile)
+      ],
+      extensionDropped: this.counts.get(EXTENSION_RULE)?.size || 0
+    };
+  }
+
+  // Returns the "source: pattern" key of the first matching rule, or null
+  _matchRule(matchers, filePath) {
+    for (const { source, matcher } of matchers) {
+      const result = matcher.checkIgnore(filePath);
+      if (result.ignored) {
+        return `${source}: ${result.rule.pattern}`;
+      }
+    }
+    return null;
+  }
+
+  _compile() {
+    this.includeMatchers = [
+      { source: 'session', matcher: ignore().add(this.rules.session.include) },
+      { source: 'config', matcher: ignore().add(this.rules.config.include) }
+    ];
+    this.excludeMatchers = [
+      { source: 'session', matcher: ignore().add(this.rules.session.exclude) },
+      { source: 'config', matcher: ignore().add(this.rules.config.exclude) },
+      { source: IGNORE_FILE, matcher: ignore().add(this.rules.ignoreFile) }
+    ];
+    this.counts = new Map();
+  }
+
+  _record(rule, filePath) {
+    if (!this.counts.has(rule)) {
+      this.counts.set(rule, new Set());
+    }
+    this.counts.get(rule).add(filePath);
+  }
+}
+
+export const filterService = new FilterService();
@@ -3,21 +3,57 @@
  * 
  * Implementation:
  * - Uses generator functions for memory-efficient streaming of large diffs
- * - Splits diffs into 2000-char chunks to stay within LLM context limits
- * - Processes diffs in parallel using Promise.all for better performance
+ * - Parses diffs into file entries (diff-parser.js); renames, deletions and binary files are
+ *   announced as such, and deleted files are sent without their removed lines
+ * - Names the functions, classes and exports a file's changes add, remove or modify in its header
+ * - Groups file diffs by estimated tokens (diffChunkTokens, capped by the context window)
+ * - Splits file diffs over the budget at hunk headers, repeating the file header on each part
+ * - Reports hunk lines that still do not fit instead of dropping them silently
+ * - Analyzes a diff's groups concurrently (concurrency setting), keeping results in group order
  * - Implements hierarchical feature summarization with context management
  * - Supports document updating with new features while preserving structure
+ * - Requests structured JSON features, with a repair prompt for malformed output
+ * - Gives the model each commit of the range with author, date, body and trailers as context
+ * - Renders analysis, summary and update prompts from templates (prompt-service.js)
+ * - Groups a range's features and commit messages into changelog entries
+ * - Drafts pull request titles and descriptions from branch features
+ * - Answers questions about the analyzed history in a multi-turn chat, citing commits and tags
  * 
  * Data flow:
- * 1. Raw git diff -> File-based chunks -> Size-based groups
- * 2. Groups -> LLM analysis -> Feature descriptions
- * 3. Features -> Chunked summaries -> Global hierarchical summary
+ * 1. Raw git diff -> Parsed file entries -> Hunk-based parts -> Token-budgeted groups
+ * 2. Groups -> LLM analysis (JSON) -> Validated feature objects
+ * 3. Features -> Markdown bullets -> Chunked summaries -> Global hierarchical summary
  * 4. Existing text + Features -> Updated documentation with preserved structure
+ * 5. Range features + Commit messages -> Changelog groups (Added/Changed/Fixed/Removed)
+ * 6. Branch features + Commit messages -> Pull request {title, summary, changes, risks, testing}
+ * 7. Question + Relevant ranges and diffs + Earlier turns -> Answer with [commit] or [tag] citations
  * 
- * Dependencies: ollama.js for LLM integration (query, chat)
+ * Dependencies: llm-service.js for LLM integration (query, chat), config-service.js for settings,
+ * feature-model.js for the feature shape and JSON parsing, tokenizer.js for token budgets,
+ * diff-parser.js for file entries, symbol-extractor.js for symbol summaries
  */
 
-import { query, CONFIG, chat } from './ollama.js';
+import { query, chat } from './llm-service.js';
+import { CONFIG } from './config-service.js';
+import { promptService } from './prompt-service.js';
+import { estimateTokens, getChunkBudget } from './tokenizer.js';
+import { mapConcurrent } from './worker-pool.js';
+import { parseDiff, describeFileDiff } from './diff-parser.js';
+import { formatFileSymbols } from './symbol-extractor.js';
+import {
+  FEATURE_SCHEMA,
+  FEATURE_CATEGORIES,
+  parseFeatureResponse,
+  parseJsonResponse,
+  formatFeature
+} from './feature-model.js';
+
+// Bump when the JSON contract appended to the analyze template changes so cached
+// results are invalidated; template edits are versioned by prompt-service.js
+export const ANALYZE_PROMPT_VERSION = 5;
+
+// Extra attempts to get valid JSON after the first response fails to parse
+const JSON_REPAIR_ATTEMPTS = 2;
 
 // Generic chunk grouping function that supports streaming
 function* groupBySize(items, maxSize, getSize = item => item.length) {
@@ -55,87 +91,183 @@ function* groupBySize(items, maxSize, getSize = item => item.length) {
   }
 }
 
-// Split diff into chunks by file with streaming support
-function* splitDiffIntoFileChunks(diff) {
-  const lines = diff.split('\n');
-  let currentChunk = '';
-  let currentFile = '';
+// One chunk per file: a line saying what happened to it, a line naming its changed symbols,
+// its git header without the index hashes, and its hunks; a deleted file's removed lines add
+// nothing the first line does not say. Symbols: FileSymbols[] (symbol-extractor.js)
+function* splitDiffIntoFileChunks(diff, symbols = []) {
+  const symbolsByPath = new Map(symbols.map(fileSymbols => [fileSymbols.path, fileSymbols]));
+  for (const file of parseDiff(diff)) {
+    const fileSymbols = symbolsByPath.get(file.path);
+    const header = [
+      `# ${describeFileDiff(file)}`,
+      ...(fileSymbols ? [`# symbols: ${formatFileSymbols(fileSymbols)}`] : []),
+      ...file.header.filter(line => !line.startsWith('index '))
+    ].join('\n');
+    const hunks = file.status === 'deleted'
+      ? []
+      : file.hunks.map(hunk => [hunk.header, ...hunk.lines].join('\n'));
+    yield { file: file.path, header, hunks, content: [header, ...hunks].join('\n') };
+  }
+}
 
+// Cuts a single hunk down to maxTokens, returning the kept text and the number of dropped lines
+function fitHunk(lines, maxTokens) {
+  const text = lines.join('\n');
+  if (estimateTokens(text) <= maxTokens) {
+    return { text, dropped: 0 };
+  }
+
+  const kept = [];
+  let used = estimateTokens(`... (${lines.length} lines omitted)`);
   for (const line of lines) {
-    if (line.startsWith('diff --git')) {
-      if (currentChunk) {
-        yield { file: currentFile, content: currentChunk.trim() };
+    const cost = estimateTokens(`${line}\n`);
+    if (used + cost > maxTokens) break;
+    kept.push(line);
+    used += cost;
+  }
+
+  const dropped = lines.length - kept.length;
+  return { text: [...kept, `... (${dropped} lines omitted)`].join('\n'), dropped };
+}
+
+// Splits a file chunk over maxTokens at its hunks, repeating the file header
+// on every part; onDrop(file, lines) is called for hunks that had to be cut
+function* splitFileChunk(chunk, maxTokens, onDrop) {
+  if (estimateTokens(chunk.content) <= maxTokens) {
+    yield chunk;
+    return;
+  }
+
+  const hunkBudget = Math.max(1, maxTokens - estimateTokens(chunk.header));
+  const fitted = chunk.hunks.map(hunk => {
+    const { text, dropped } = fitHunk(hunk.split('\n'), hunkBudget);
+    if (dropped > 0) onDrop(chunk.file, dropped);
+    return text;
+  });
+
+  for (const group of groupBySize(fitted, hunkBudget, estimateTokens)) {
+    yield { file: chunk.file, content: [chunk.header, ...group].join('\n') };
+  }
+}
+
+// Queries for JSON features, asking the model to fix its output when it does not parse
+async function queryFeatures(prompt, defaults) {
+  let response = await query(prompt, CONFIG.maxTokens, { format: 'json' });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return parseFeatureResponse(response, defaults);
+    } catch (error) {
+      if (attempt >= JSON_REPAIR_ATTEMPTS) {
+        throw new Error(`Model returned invalid feature JSON: ${error.message}`);
       }
-      currentFile = line.split(' b/')[1];
-      currentChunk = line + '\n';
-    } else {
-      currentChunk += line + '\n';
+
+      const repairPrompt = `The following response was supposed to be JSON but could not be parsed (${error.message}):
+${response}
+
+Return ONLY the corrected JSON, using this structure:
+${FEATURE_SCHEMA}
+`;
+      response = await query(repairPrompt, CONFIG.maxTokens, { format: 'json' });
     }
   }
+}
 
-  if (currentChunk) {
-    yield { file: currentFile, content: currentChunk.trim() };
-  }
+function formatCommitMessages(messages) {
+  return messages.length > 0
+    ? messages.map(message => `- ${message.split('\n')[0]}`).join('\n')
+    : '- None';
 }
 
-export async function analyzeGitDiff(diff) {
+// Longest commit body included in the analyze prompt, in characters
+const MAX_COMMIT_BODY_LENGTH = 500;
+
+// Subject line with hash, date and author, then the body (trailers stripped) and the trailers
+function formatCommits(commits) {
+  if (commits.length === 0) return '- None';
+
+  return commits.map(commit => {
+    const lines = [`- ${commit.hash.substring(0, 7)} ${(commit.date || '').substring(0, 10)} ${commit.author}: ${commit.subject}`];
+    const body = (commit.body || '')
+      .split('\n')
+      .filter(line => !commit.trailers.some(trailer => line.trim() === `${trailer.key}: ${trailer.value}`))
+      .join('\n')
+      .trim();
+    if (body) {
+      const text = body.length > MAX_COMMIT_BODY_LENGTH ? `${body.substring(0, MAX_COMMIT_BODY_LENGTH)}...` : body;
+      lines.push(...text.split('\n').map(line => `  ${line}`));
+    }
+    // Issue references already readable in the body are not repeated
+    commit.trailers
+      .filter(trailer => !body.toLowerCase().includes(`${trailer.key} ${trailer.value}`.toLowerCase()))
+      .forEach(trailer => lines.push(`  ${trailer.key}: ${trailer.value}`));
+    return lines.join('\n');
+  }).join('\n');
+}
+
+// Range: optional {from, to} attached to every returned feature
+// Context: optional {commits: LogEntry[]} (see git-service.js), or {commitMessages: string[]},
+// rendered as the template's commitMessages, and {symbols: FileSymbols[]} named in file headers
+export async function analyzeGitDiff(diff, range = null, context = {}) {
   try {
-    const processedDiff = diff.trim();
-    const chunks = [...splitDiffIntoFileChunks(processedDiff)];
-    const groups = [...groupBySize(chunks, 2000, chunk => chunk.content.length)];
+    const variables = {
+      commitMessages: context.commits
+        ? formatCommits(context.commits)
+        : formatCommitMessages(context.commitMessages || []),
+      categories: FEATURE_CATEGORIES.join(', ')
+    };
+
+    // The JSON contract is appended outside the template so custom styles cannot break parsing
+    const buildPrompt = async groupDiff => `${await promptService.render('analyze', { ...variables, diff: groupDiff })}
+
+ONLY return JSON using this structure:
+${FEATURE_SCHEMA}
+`;
 
-    let features = [];
-    for (let i = 0; i < groups.length; i++) {
-      const group = groups[i];
-      const groupDiff = group.map(chunk => chunk.content).join('\n');
+    // Budget what is left for the diff once the instructions and the response are accounted for
+    const budget = getChunkBudget(CONFIG.diffChunkTokens, await buildPrompt(''));
+    const droppedLines = new Map();
+    const onDrop = (file, lines) => droppedLines.set(file, (droppedLines.get(file) || 0) + lines);
 
-      const prompt = `You are a coding assistant. You are reviewing a git diff below:
-${groupDiff}
-
-Please describe changes as a list of features following these rules:
-1. Describe features introduced by the changes in a way YOU can recreate it in the future. Not file changes.
-2. Analyze implementation and parameter details without source code.
-3. Do NOT review, fix, refactor. Do NOT include code examples.
-4. Do NOT offer help, suggestions, explanations, or clarifications.
-5. Respond in ${CONFIG.language}.
-6. ONLY return a bullet list in markdown format, using this structure, e.g.:
-  - [Feature description]
-    - [Changes made and parameters details]
-`;
-      const result = await query(prompt, 2048);
-      features.push(result.trim());
+    const chunks = [...splitDiffIntoFileChunks(diff, context.symbols)]
+      .flatMap(chunk => [...splitFileChunk(chunk, budget, onDrop)]);
+    const groups = [...groupBySize(chunks, budget, chunk => estimateTokens(chunk.content))];
+
+    for (const [file, lines] of droppedLines) {
+      console.error(`Dropped ${lines} lines of ${file || 'diff'} to fit the ${budget}-token chunk budget`);
     }
 
-    return features;
+    const results = await mapConcurrent(groups, async group => {
+      const groupDiff = group.map(chunk => chunk.content).join('\n');
+      const files = [...new Set(group.map(chunk => chunk.file).filter(Boolean))];
+      return queryFeatures(await buildPrompt(groupDiff), { files, range });
+    }, { concurrency: CONFIG.concurrency });
+
+    return results.flat();
   } catch (error) {
     console.error('Failed to analyze git diff:', error);
     throw error;
   }
 }
 
+function toFeatureText(features) {
+  return features.filter(feature => feature && feature.title).map(formatFeature);
+}
+
 export async function summarizeFeatures(features) {
   try {
-    const validFeatures = features.filter(f => f && f.trim());
+    const validFeatures = toFeatureText(features);
 
     if (validFeatures.length === 0) {
       return 'No features to summarize';
     }
 
-    const chunks = [...groupBySize(validFeatures, 4000)];
+    const systemPrompt = await promptService.render('summarize');
+    const chunks = [...groupBySize(validFeatures, getChunkBudget(CONFIG.summaryChunkTokens, systemPrompt), estimateTokens)];
 
     const messages = [{
       role: "system",
-      content: `You are a summarization assistant. Use will provide a large text in chunks. After each chunk, repeat the following process:
-1. Describe the overall system structure and its capabilities.
-2. Describe features into a list by page, module, service, functionality, and etc..
-4. Describe capabilities of each feature as a sub list.
-3. Keep updating features with information from each new chunk.
-5. Use plain language and avoid code or technical details.
-6. Do not offer additional help or suggestions.
-7. Respond in ${CONFIG.language}.
-8. Use markdown format with bullet points only (no bold or italics), e.g.:
-  - [Feature description]
-    - [Functionality description]`
+      content: systemPrompt
     }];
 
     let globalSummary = "";
@@ -166,27 +298,20 @@ export async function summarizeFeatures(features) {
 
 export async function updateDoc(text, features) {
   try {
-    const validFeatures = features.filter(f => f && f.trim());
+    const validFeatures = toFeatureText(features);
 
     if (validFeatures.length === 0) {
       return text;
     }
 
-    const chunks = [...groupBySize(validFeatures, 4000)];
+    // The document is resent with every chunk, so it counts against the budget
+    const systemPrompt = await promptService.render('update-doc');
+    const budget = getChunkBudget(CONFIG.summaryChunkTokens, systemPrompt + text);
+    const chunks = [...groupBySize(validFeatures, budget, estimateTokens)];
 
     const messages = [{
       role: "system",
-      content: `You are a documentation assistant. The User will provide an existing document and new features in chunks. After each chunk, repeat the following process:
-1. Maintain the original document's structure, style, and organization.
-2. Update the document by incorporating new content based on existing content.
-3. Preserve the original markdown formatting.
-4. Ensure consistent formatting and language throughout.
-5. Do not remove or significantly alter existing content.
-6. Do not add new sections unless absolutely necessary.
-7. Respond in ${CONFIG.language}.
-8. Do not offer additional help, suggestions, explanations, or clarifications.
-`
-
+      content: systemPrompt
     }];
 
     let updatedDoc = text;
@@ -213,3 +338,104 @@ export async function updateDoc(text, features) {
     throw error;
   }
 }
+
+// Falls back to the categories assigned during analysis when the model output is unusable
+function groupByCategory(features) {
+  const groups = Object.fromEntries(FEATURE_CATEGORIES.map(category => [category, []]));
+  features.forEach(feature => groups[feature.category].push(feature.title));
+  return groups;
+}
+
+export async function summarizeChangelog(features, commitMessages) {
+  const validFeatures = toFeatureText(features);
+  if (validFeatures.length === 0 && commitMessages.length === 0) {
+    return groupByCategory([]);
+  }
+
+  const schema = `{\n${FEATURE_CATEGORIES.map(category => `  "${category}": ["entry", "..."]`).join(',\n')}\n}`;
+  const prompt = `${await promptService.render('changelog', {
+    features: validFeatures.join('\n') || '- None',
+    commitMessages: formatCommitMessages(commitMessages),
+    categories: FEATURE_CATEGORIES.join(', ')
+  })}
+
+ONLY return JSON using this structure:
+${schema}
+`;
+
+  try {
+    const parsed = parseJsonResponse(await query(prompt, CONFIG.maxTokens, { format: 'json' }));
+    return Object.fromEntries(FEATURE_CATEGORIES.map(category => [
+      category,
+      Array.isArray(parsed[category])
+        ? parsed[category].filter(entry => typeof entry === 'string' && entry.trim()).map(entry => entry.trim())
+        : []
+    ]));
+  } catch (error) {
+    console.error('Failed to summarize changelog, using analyzed categories:', error.message);
+    return groupByCategory(features);
+  }
+}
+
+// Returns {title, summary, changes[], risks[], testing[]}
+export async function generatePullRequest(features, commitMessages, untrackedFiles = []) {
+  const prompt = `${await promptService.render('pr', {
+    features: toFeatureText(features).join('\n') || '- None',
+    commitMessages: formatCommitMessages(commitMessages),
+    untrackedFiles: untrackedFiles.length > 0 ? untrackedFiles.map(file => `- ${file}`).join('\n') : '- None'
+  })}
+
+ONLY return JSON using this structure:
+{
+  "title": "...",
+  "summary": "...",
+  "changes": ["..."],
+  "risks": ["..."],
+  "testing": ["..."]
+}
+`;
+
+  const toList = value => Array.isArray(value)
+    ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+    : [];
+
+  try {
+    const parsed = parseJsonResponse(await query(prompt, CONFIG.maxTokens, { format: 'json' }));
+    if (typeof parsed.title !== 'string' || !parsed.title.trim()) {
+      throw new Error('Response has no "title"');
+    }
+
+    return {
+      title: parsed.title.trim(),
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+      changes: toList(parsed.changes),
+      risks: toList(parsed.risks),
+      testing: toList(parsed.testing)
+    };
+  } catch (error) {
+    console.error('Failed to generate pull request:', error);
+    throw error;
+  }
+}
+
+// Context: analyzed ranges relevant to the question, each marked with the [id] answers cite.
+// History: earlier {role, content} turns of the conversation, oldest first
+export async function answerQuestion(question, { context, summary = '', history = [] }) {
+  // Without a summary its placeholder leaves blank lines behind
+  const systemPrompt = (await promptService.render('ask', {
+    summary: summary ? `Summary of the analyzed features:\n${summary}` : ''
+  })).replace(/\n{3,}/g, '\n\n');
+
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...history,
+    { role: 'user', content: `Analyzed history:\n\n${context}\n\nQuestion: ${question}` }
+  ];
+
+  try {
+    return (await chat(messages)).trim();
+  } catch (error) {
+    console.error('Failed to answer question:', error);
+    throw error;
+  }
+}
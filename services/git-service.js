@@ -2,53 +2,219 @@
  * Git operations handler for retrieving and filtering diffs
  * 
  * Implementation:
- * - Filters diffs using regex pattern matching (a/file b/file)
+ * - Filters diffs per file (diff-parser.js) with the configured filter rules
+ * - Ignores whitespace-only changes and removes lockfiles, generated code and moved code
+ *   (noise-filter.js), recording what was skipped on each diff
+ * - Lists the functions, classes and exports each diff adds, removes or modifies
+ *   (symbol-extractor.js), reading both versions of every changed file in one git cat-file --batch
+ * - Walks first-parent history for every commit grouping, so merges do not change the groups
  * - Handles n-commit grouping with empty tree hash for initial state
+ * - Groups history into day, week, month or quarter buckets
+ * - Limits history to a date window with git date expressions
+ * - Walks arbitrary ref ranges from their merge base for branch analysis
  * - Processes tags chronologically with date extraction and sorting
  * - Implements progress tracking for long-running operations
  * - Handles edge cases: empty repos, missing tags, partial groups
+ * - Diffs an arbitrary commit range for incremental updates
+ * - Lists commit messages between two refs for changelog context
+ * - Attaches every commit of a range (author, date, body, trailers) to its diff entry
+ * - Diffs the working tree against a ref to include uncommitted changes
+ * - Re-creates the diff of an analyzed range for questions about it
+ * - Limits every log, diff and rev-list to the active path scopes
  * 
  * Data structures:
- * - Diff: {fromCommit, toCommit, diff: string, message: string}
+ * - Diff: {fromCommit, toCommit, diff: string, message: string, commits: LogEntry[],
+ *   skipped: SkippedFile[], symbols: FileSymbols[], bucket?: string}
+ * - TagDiff: {fromTag, toTag, fromHash, toHash, date: Date, diff: string, commits: LogEntry[],
+ *   skipped: SkippedFile[], symbols: FileSymbols[]}; the hashes are the commits both ends resolved to
  * - Tag: {name: string, date: Date}
  * - Commit: {hash: string, message: string}
+ * - Range: {base: string, to: string, count: number}
+ * - LogEntry: {hash, date, author, email, subject, body, trailers: [{key, value}]}
  * 
- * Dependencies: project-analyzer.js for file type detection
+ * Dependencies: filter-service.js for source file selection, scope-service.js for the
+ * pathspec limiting history to monorepo subdirectories, diff-parser.js for file entries,
+ * noise-filter.js for noise reduction, symbol-extractor.js for symbol changes
  */
 
-import { isSourceFile } from './project-analyzer.js';
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import { join } from 'path';
+import { filterService } from './filter-service.js';
+import { scopeService } from './scope-service.js';
+import { parseDiff, formatDiff } from './diff-parser.js';
+import { reduceNoise } from './noise-filter.js';
+import { getSymbolLanguage, extractFileSymbols } from './symbol-extractor.js';
+import { CONFIG } from './config-service.js';
 
 const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
 
-export function filterSourceFiles(diff, projectType) {
-  // Split diff into file sections
-  const diffSections = diff.split('diff --git');
-  
-  // Filter out the empty first element
-  const sections = diffSections.filter(Boolean);
-  
-  // Process each section
-  const sourceDiffs = sections
-    .map(section => section.trim())
-    .filter(section => {
-      // Extract file path from the diff section
-      const filePathMatch = section.match(/a\/(.+?) b\//);
-      if (!filePathMatch) return false;
-      
-      const filePath = filePathMatch[1];
-      return isSourceFile(filePath, projectType);
+// Trailer lines in the last paragraph of a commit body ("Key: value"), plus
+// issue references such as "Fixes #123" anywhere in the body or subject
+const TRAILER_PATTERN = /^([A-Za-z][\w-]*):\s+(.+)$/;
+const ISSUE_REFERENCE_PATTERN = /\b((?:fix|fixes|fixed|close|closes|closed|resolve|resolves|resolved|refs?))\s+((?:[\w.-]+\/[\w.-]+)?#\d+)/gi;
+// Single-word keys used as trailers; any other key must be hyphenated like Signed-off-by,
+// so a closing sentence such as "Note: this is prose" is not taken for a trailer
+const TRAILER_KEYS = new Set(['fixes', 'closes', 'resolves', 'refs', 'ref', 'see', 'bug', 'issue', 'link', 'cc', 'changelog']);
+
+function isTrailerKey(key) {
+  return key.includes('-') || TRAILER_KEYS.has(key.toLowerCase());
+}
+
+// The last paragraph as trailers, or none when any of its lines is not a trailer.
+// Indented lines continue the value of the trailer above them, as in git
+function parseTrailerBlock(paragraph) {
+  const trailers = [];
+  for (const line of paragraph.split('\n')) {
+    if (/^\s/.test(line) && trailers.length > 0) {
+      trailers[trailers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const match = line.trim().match(TRAILER_PATTERN);
+    if (!match || !isTrailerKey(match[1])) return [];
+    trailers.push({ key: match[1], value: match[2].trim() });
+  }
+  return trailers;
+}
+
+export function parseTrailers(body = '', subject = '') {
+  const paragraphs = body.trim().split(/\n\s*\n/);
+  const trailers = parseTrailerBlock(paragraphs[paragraphs.length - 1]);
+
+  for (const [, key, value] of `${subject}\n${body}`.matchAll(ISSUE_REFERENCE_PATTERN)) {
+    if (!trailers.some(trailer => trailer.key.toLowerCase() === key.toLowerCase() && trailer.value === value)) {
+      trailers.push({ key: key[0].toUpperCase() + key.slice(1).toLowerCase(), value });
+    }
+  }
+  return trailers;
+}
+
+// Converts a simple-git log entry to a LogEntry
+function toLogEntry(commit) {
+  return {
+    hash: commit.hash,
+    date: commit.date,
+    author: commit.author_name,
+    email: commit.author_email,
+    subject: commit.message,
+    body: commit.body,
+    trailers: parseTrailers(commit.body, commit.message)
+  };
+}
+
+// Paths of the files in a diff; deleted files keep their old path
+export function getDiffFiles(diff) {
+  return parseDiff(diff).map(file => file.path);
+}
+
+// Contents of "<ref>:<path>" objects, read through a single git cat-file --batch process;
+// undefined for objects that do not exist
+function readBlobs(root, specs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['cat-file', '--batch'], { cwd: root });
+    const chunks = [];
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stdin.on('error', () => {});
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`git cat-file exited with code ${code}`));
+        return;
+      }
+
+      // Each object is "<hash> <type> <size>\n<content>\n", or "<spec> missing\n"
+      const output = Buffer.concat(chunks);
+      let offset = 0;
+      resolve(specs.map(() => {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const header = output.toString('utf8', offset, headerEnd);
+        offset = headerEnd + 1;
+        const match = header.match(/^[0-9a-f]+ (\w+) (\d+)$/);
+        if (!match) return undefined;
+        const size = Number(match[2]);
+        const content = match[1] === 'blob' ? output.toString('utf8', offset, offset + size) : undefined;
+        offset += size + 1;
+        return content;
+      }));
     });
-  
-  // Reconstruct the filtered diff
-  return sourceDiffs.length > 0
-    ? 'diff --git ' + sourceDiffs.join('\ndiff --git ')
-    : '';
+    child.stdin.end(specs.map(spec => `${spec}\n`).join(''));
+  });
+}
+
+// File contents for [ref, path] pairs: null for a missing side (path null), the working tree
+// when ref is null, undefined when unreadable
+async function readFiles(root, sides) {
+  const blobSides = sides.filter(([ref, path]) => ref !== null && path !== null);
+  const blobs = new Map();
+  if (blobSides.length > 0) {
+    const specs = blobSides.map(([ref, path]) => `${ref}:${path}`);
+    const contents = await readBlobs(root, specs).catch(() => []);
+    specs.forEach((spec, i) => blobs.set(spec, contents[i]));
+  }
+
+  return Promise.all(sides.map(async ([ref, path]) => {
+    if (path === null) return null;
+    if (ref !== null) return blobs.get(`${ref}:${path}`);
+    return fs.readFile(join(root, path), 'utf8').catch(() => undefined);
+  }));
+}
+
+// Symbol changes of the files whose language symbol-extractor.js knows
+async function getSymbolChanges(git, files, fromRef, toRef) {
+  const candidates = files.filter(file => !file.binary && getSymbolLanguage(file.path));
+  if (candidates.length === 0) return [];
+
+  const root = (await git.revparse(['--show-toplevel'])).trim();
+  const contents = await readFiles(root, candidates.flatMap(file => [[fromRef, file.oldPath], [toRef, file.newPath]]));
+  return candidates
+    .map((file, i) => extractFileSymbols(file, contents[2 * i], contents[2 * i + 1]))
+    .filter(Boolean);
+}
+
+function getSourceFiles(diff, projectType) {
+  const sourceFiles = parseDiff(diff).filter(file => filterService.isIncluded(file.path, projectType));
+  return CONFIG.reduceNoise ? reduceNoise(sourceFiles) : { files: sourceFiles, skipped: [] };
+}
+
+// Source files of a raw diff with noise removed (see noise-filter.js) and their symbol
+// changes between the two refs (toRef null for the working tree); skipped lists the files
+// that were dropped or had moved code collapsed
+async function prepareDiff(git, diff, projectType, fromRef, toRef) {
+  const { files, skipped } = getSourceFiles(diff, projectType);
+  const symbols = CONFIG.extractSymbols && files.length > 0
+    ? await getSymbolChanges(git, files, fromRef, toRef)
+    : [];
+  return { diff: formatDiff(files), skipped, symbols };
 }
 
-export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress = null) {
-  const commits = await git.log();
+// Appends the active scope pathspec to git log, diff and rev-list arguments
+function withPathspec(args) {
+  return [...args, ...scopeService.getPathspec()];
+}
+
+// git diff arguments: whitespace-only changes are left out unless ignoreWhitespace is off
+function diffArgs(args) {
+  return [...(CONFIG.ignoreWhitespace ? ['-w'] : []), ...withPathspec(args)];
+}
+
+// Range base may be the empty tree when a range starts at the root commit
+function getRangeSpec(range) {
+  return range.base === EMPTY_TREE_HASH ? range.to : `${range.base}..${range.to}`;
+}
+
+// Walks first-parent history like getTimeBucketDiffs, so merged branches count as their merge commit.
+// Range: optional result of resolveRange or resolveDateRange; defaults to all of HEAD's history
+export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress = null, range = null) {
+  const commits = range
+    ? await git.log(withPathspec(['--first-parent', getRangeSpec(range)]))
+    : await git.log(withPathspec(['--first-parent']));
   const diffs = [];
   const commitList = commits.all.reverse(); // Oldest to newest
+  const baseCommit = range
+    ? { hash: range.base, message: 'Range base' }
+    : { hash: EMPTY_TREE_HASH, message: 'Empty tree' };
+  // Commits in commitList[start, end), newest first like git log
+  const getLogEntries = (start, end) => commitList.slice(start, end).map(toLogEntry).reverse();
 
   if (commitList.length === 0) {
     return diffs;
@@ -60,18 +226,21 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
     // For n=1: Compare each commit with its previous state
     for (let i = 0; i < commitList.length; i++) {
       const currentCommit = commitList[i];
-      const previousCommit = i === 0 ? { hash: EMPTY_TREE_HASH, message: 'Empty tree' } : commitList[i - 1];
+      const previousCommit = i === 0 ? baseCommit : commitList[i - 1];
       
       try {
-        const diff = await git.diff([previousCommit.hash, currentCommit.hash]);
+        const diff = await git.diff(diffArgs([previousCommit.hash, currentCommit.hash]));
         if (diff) {
-          const filteredDiff = filterSourceFiles(diff, projectType);
+          const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, previousCommit.hash, currentCommit.hash);
           if (filteredDiff) {
             diffs.push({
               fromCommit: previousCommit,
               toCommit: currentCommit,
               diff: filteredDiff,
-              message: currentCommit.message
+              skipped,
+              symbols,
+              message: currentCommit.message,
+              commits: getLogEntries(i, i + 1)
             });
           }
         }
@@ -86,20 +255,23 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
     }
   } else {
     // For n>1:
-    // If not enough commits to reach first group, compare empty tree to HEAD
+    // If not enough commits to reach first group, compare base to HEAD
     const startIndex = groupSize;
     if (startIndex >= commitList.length) {
       try {
         const headCommit = commitList[commitList.length - 1];
-        const diff = await git.diff([EMPTY_TREE_HASH, headCommit.hash]);
+        const diff = await git.diff(diffArgs([baseCommit.hash, headCommit.hash]));
         if (diff) {
-          const filteredDiff = filterSourceFiles(diff, projectType);
+          const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, baseCommit.hash, headCommit.hash);
           if (filteredDiff) {
             diffs.push({
-              fromCommit: { hash: EMPTY_TREE_HASH, message: 'Empty tree' },
+              fromCommit: baseCommit,
               toCommit: headCommit,
               diff: filteredDiff,
-              message: headCommit.message
+              skipped,
+              symbols,
+              message: headCommit.message,
+              commits: getLogEntries(0, commitList.length)
             });
           }
         }
@@ -109,24 +281,27 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
           onProgress(progressCount);
         }
       } catch (error) {
-        console.error(`Error getting diff between empty tree and HEAD: ${error.message}`);
+        console.error(`Error getting diff between ${baseCommit.message.toLowerCase()} and HEAD: ${error.message}`);
       }
       return diffs;
     }
 
     // Normal group processing when enough commits exist
-    // Get the first comparison (nth commit vs empty tree)
+    // Get the first comparison (nth commit vs base)
     const firstNthCommit = commitList[startIndex];
     try {
-      const firstDiff = await git.diff([EMPTY_TREE_HASH, firstNthCommit.hash]);
+      const firstDiff = await git.diff(diffArgs([baseCommit.hash, firstNthCommit.hash]));
       if (firstDiff) {
-        const filteredDiff = filterSourceFiles(firstDiff, projectType);
+        const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, firstDiff, projectType, baseCommit.hash, firstNthCommit.hash);
         if (filteredDiff) {
           diffs.push({
-            fromCommit: { hash: EMPTY_TREE_HASH, message: 'Empty tree' },
+            fromCommit: baseCommit,
             toCommit: firstNthCommit,
             diff: filteredDiff,
-            message: firstNthCommit.message
+            skipped,
+            symbols,
+            message: firstNthCommit.message,
+            commits: getLogEntries(0, startIndex + 1)
           });
         }
       }
@@ -147,15 +322,18 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
       lastProcessedIndex = i;
       
       try {
-        const diff = await git.diff([previousNthCommit.hash, currentCommit.hash]);
+        const diff = await git.diff(diffArgs([previousNthCommit.hash, currentCommit.hash]));
         if (diff) {
-          const filteredDiff = filterSourceFiles(diff, projectType);
+          const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, previousNthCommit.hash, currentCommit.hash);
           if (filteredDiff) {
             diffs.push({
               fromCommit: previousNthCommit,
               toCommit: currentCommit,
               diff: filteredDiff,
-              message: currentCommit.message
+              skipped,
+              symbols,
+              message: currentCommit.message,
+              commits: getLogEntries(i - groupSize + 1, i + 1)
             });
           }
         }
@@ -175,15 +353,18 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
       const headCommit = commitList[commitList.length - 1];
       
       try {
-        const diff = await git.diff([lastProcessedCommit.hash, headCommit.hash]);
+        const diff = await git.diff(diffArgs([lastProcessedCommit.hash, headCommit.hash]));
         if (diff) {
-          const filteredDiff = filterSourceFiles(diff, projectType);
+          const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, lastProcessedCommit.hash, headCommit.hash);
           if (filteredDiff) {
             diffs.push({
               fromCommit: lastProcessedCommit,
               toCommit: headCommit,
               diff: filteredDiff,
-              message: headCommit.message
+              skipped,
+              symbols,
+              message: headCommit.message,
+              commits: getLogEntries(lastProcessedIndex + 1, commitList.length)
             });
           }
         }
@@ -201,37 +382,144 @@ export async function getCommitDiffs(git, projectType, groupSize = 1, onProgress
   return diffs;
 }
 
-export async function getTagDiffs(git, projectType, fromTag = null) {
-  // Get all tags sorted by date
+export const TIME_BUCKETS = ['day', 'week', 'month', 'quarter'];
+
+// Label of the local-time bucket a date falls in: 2024-03-05, 2024-W10, 2024-03, 2024-Q1
+export function getBucketLabel(date, by) {
+  const pad = value => String(value).padStart(2, '0');
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+
+  switch (by) {
+    case 'day':
+      return `${year}-${pad(month)}-${pad(date.getDate())}`;
+    case 'week': {
+      // ISO 8601 week: weeks start on Monday, week 1 contains the year's first Thursday
+      const thursday = new Date(year, date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+      const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+      const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getDay() + 6) % 7) / 7);
+      return `${thursday.getFullYear()}-W${pad(week)}`;
+    }
+    case 'month':
+      return `${year}-${pad(month)}`;
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    default:
+      throw new Error(`Unknown time bucket '${by}'. Available: ${TIME_BUCKETS.join(', ')}`);
+  }
+}
+
+// Committer dates by hash along first-parent history. Buckets use these rather than author dates,
+// which stay old on rebased or cherry-picked commits, and so match --since and --until
+async function getCommitterDates(git, rangeArgs) {
+  const output = await git.raw(withPathspec(['log', '--first-parent', '--format=%H %cI', ...rangeArgs]));
+  return new Map(output.trim().split('\n').filter(Boolean).map(line => line.split(' ')));
+}
+
+// One diff per time bucket of first-parent history, from the last commit before the bucket
+// to the last commit inside it. Range: optional result of resolveDateRange or resolveRange
+export async function getTimeBucketDiffs(git, projectType, by, onProgress = null, range = null) {
+  const rangeArgs = range ? [getRangeSpec(range)] : [];
+  const log = await git.log(withPathspec(['--first-parent', ...rangeArgs]));
+  const commitList = log.all.reverse(); // Oldest to newest
+  const committerDates = await getCommitterDates(git, rangeArgs);
+
+  // A label seen again, e.g. after clock skew, absorbs the buckets in between so every
+  // bucket stays one contiguous stretch of history
+  const buckets = [];
+  for (const commit of commitList) {
+    const label = getBucketLabel(new Date(committerDates.get(commit.hash) || commit.date), by);
+    const index = buckets.findIndex(bucket => bucket.label === label);
+    if (index === -1) {
+      buckets.push({ label, commits: [commit] });
+    } else {
+      buckets[index].commits.push(...buckets.splice(index + 1).flatMap(bucket => bucket.commits), commit);
+    }
+  }
+
+  const diffs = [];
+  let previousCommit = range
+    ? { hash: range.base, message: 'Range base' }
+    : { hash: EMPTY_TREE_HASH, message: 'Empty tree' };
+
+  for (let i = 0; i < buckets.length; i++) {
+    const { label, commits } = buckets[i];
+    const lastCommit = commits[commits.length - 1];
+
+    try {
+      const diff = await git.diff(diffArgs([previousCommit.hash, lastCommit.hash]));
+      const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, previousCommit.hash, lastCommit.hash);
+      if (filteredDiff) {
+        diffs.push({
+          fromCommit: previousCommit,
+          toCommit: lastCommit,
+          diff: filteredDiff,
+          skipped,
+          symbols,
+          message: lastCommit.message,
+          commits: commits.map(toLogEntry).reverse(),
+          bucket: label
+        });
+      }
+    } catch (error) {
+      console.error(`Error getting diff for ${label}: ${error.message}`);
+    }
+
+    previousCommit = lastCommit;
+    if (onProgress) {
+      onProgress(i + 1, buckets.length);
+    }
+  }
+
+  return diffs;
+}
+
+export async function getSortedTags(git) {
   const tags = await git.tags();
   const sortedTags = [];
+
+  // Get creation date for each tag
+  for (const tagName of tags.all) {
+    const show = await git.show([tagName]);
+    const date = show.match(/Date:\s+(.+)/)?.[1];
+    sortedTags.push({ name: tagName, date: new Date(date) });
+  }
+
+  // Sort tags by date
+  sortedTags.sort((a, b) => a.date - b.date);
+  return sortedTags;
+}
+
+// Commit a ref points to, peeling annotated tags
+async function resolveCommit(git, ref) {
+  return (await git.revparse([`${ref}^{commit}`])).trim();
+}
+
+export async function getTagDiffs(git, projectType, fromTag = null) {
+  // Get all tags sorted by date
+  const sortedTags = await getSortedTags(git);
   
   // If no tags and no fromTag specified, return diff from empty tree to HEAD
-  if (tags.all.length === 0 && !fromTag) {
-    const headDiff = await git.diff([EMPTY_TREE_HASH, 'HEAD']);
-    const sourceHeadDiff = filterSourceFiles(headDiff, projectType);
+  if (sortedTags.length === 0 && !fromTag) {
+    const headDiff = await git.diff(diffArgs([EMPTY_TREE_HASH, 'HEAD']));
+    const { diff: sourceHeadDiff, skipped, symbols } = await prepareDiff(git, headDiff, projectType, EMPTY_TREE_HASH, 'HEAD');
     
     if (sourceHeadDiff) {
       return [{
         fromTag: 'empty-tree',
         toTag: 'HEAD',
+        fromHash: EMPTY_TREE_HASH,
+        toHash: await getHeadCommit(git),
         date: new Date(),
-        diff: sourceHeadDiff
+        diff: sourceHeadDiff,
+        skipped,
+        symbols,
+        commits: await getCommitLog(git, 'empty-tree', 'HEAD')
       }];
     }
     return [];
   }
   
-  // Get creation date for each tag
-  for (const tagName of tags.all) {
-    const show = await git.show([tagName]);
-    const date = show.match(/Date:\s+(.+)/)?.[1];
-    sortedTags.push({ name: tagName, date: new Date(date) });
-  }
-  
-  // Sort tags by date
-  sortedTags.sort((a, b) => a.date - b.date);
-  
   // Find starting index if fromTag is provided
   let startIndex = 0;
   if (fromTag) {
@@ -247,15 +535,20 @@ export async function getTagDiffs(git, projectType, fromTag = null) {
   // If no fromTag provided, start with empty tree hash to first tag
   if (!fromTag && sortedTags.length > 0) {
     const firstTag = sortedTags[0];
-    const firstDiff = await git.diff([EMPTY_TREE_HASH, firstTag.name]);
-    const sourceDiff = filterSourceFiles(firstDiff, projectType);
+    const firstDiff = await git.diff(diffArgs([EMPTY_TREE_HASH, firstTag.name]));
+    const { diff: sourceDiff, skipped, symbols } = await prepareDiff(git, firstDiff, projectType, EMPTY_TREE_HASH, firstTag.name);
     
     if (sourceDiff) {
       diffs.push({
         fromTag: 'empty-tree',
         toTag: firstTag.name,
+        fromHash: EMPTY_TREE_HASH,
+        toHash: await resolveCommit(git, firstTag.name),
         date: firstTag.date,
-        diff: sourceDiff
+        diff: sourceDiff,
+        skipped,
+        symbols,
+        commits: await getCommitLog(git, 'empty-tree', firstTag.name)
       });
     }
   }
@@ -265,16 +558,21 @@ export async function getTagDiffs(git, projectType, fromTag = null) {
     const currentTag = sortedTags[i];
     const nextTag = sortedTags[i + 1];
     
-    const diff = await git.diff([currentTag.name, nextTag.name]);
+    const diff = await git.diff(diffArgs([currentTag.name, nextTag.name]));
     // Filter diff to only include source files based on project type
-    const sourceDiff = filterSourceFiles(diff, projectType);
+    const { diff: sourceDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, currentTag.name, nextTag.name);
     
     if (sourceDiff) {
       diffs.push({
         fromTag: currentTag.name,
         toTag: nextTag.name,
+        fromHash: await resolveCommit(git, currentTag.name),
+        toHash: await resolveCommit(git, nextTag.name),
         date: nextTag.date,
-        diff: sourceDiff
+        diff: sourceDiff,
+        skipped,
+        symbols,
+        commits: await getCommitLog(git, currentTag.name, nextTag.name)
       });
     }
   }
@@ -282,18 +580,136 @@ export async function getTagDiffs(git, projectType, fromTag = null) {
   // Add diff between last tag and HEAD if there are any tags
   if (sortedTags.length > 0) {
     const lastTag = sortedTags[sortedTags.length - 1];
-    const headDiff = await git.diff([lastTag.name, 'HEAD']);
-    const sourceHeadDiff = filterSourceFiles(headDiff, projectType);
+    const headDiff = await git.diff(diffArgs([lastTag.name, 'HEAD']));
+    const { diff: sourceHeadDiff, skipped, symbols } = await prepareDiff(git, headDiff, projectType, lastTag.name, 'HEAD');
     
     if (sourceHeadDiff) {
       diffs.push({
         fromTag: lastTag.name,
         toTag: 'HEAD',
+        fromHash: await resolveCommit(git, lastTag.name),
+        toHash: await getHeadCommit(git),
         date: new Date(),
-        diff: sourceHeadDiff
+        diff: sourceHeadDiff,
+        skipped,
+        symbols,
+        commits: await getCommitLog(git, lastTag.name, 'HEAD')
       });
     }
   }
   
   return diffs;
 }
+
+export async function getHeadCommit(git) {
+  return (await git.revparse(['HEAD'])).trim();
+}
+
+export async function getRangeDiff(git, projectType, fromRef, toRef = 'HEAD') {
+  const [fromHash, toHash] = (await git.revparse([fromRef, toRef])).trim().split('\n');
+  if (fromHash === toHash) {
+    return [];
+  }
+
+  const log = await git.log(withPathspec([`${fromHash}..${toHash}`]));
+  const toCommit = log.latest || { hash: toHash, message: '' };
+  const diff = await git.diff(diffArgs([fromHash, toHash]));
+  const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, fromHash, toHash);
+
+  if (!filteredDiff) {
+    return [];
+  }
+
+  return [{
+    fromCommit: { hash: fromHash, message: '' },
+    toCommit,
+    diff: filteredDiff,
+    skipped,
+    symbols,
+    message: toCommit.message,
+    commits: log.all.map(toLogEntry)
+  }];
+}
+
+// Diff text of a range analyzed earlier, prepared as for analysis; 'empty-tree' stands for the empty tree
+export async function getSourceDiff(git, projectType, fromRef, toRef) {
+  const from = fromRef === 'empty-tree' ? EMPTY_TREE_HASH : fromRef;
+  const diff = await git.diff(diffArgs([from, toRef]));
+  return formatDiff(getSourceFiles(diff, projectType).files);
+}
+
+// Compares a ref with the working tree, covering staged and unstaged changes to tracked files
+export async function getWorkingTreeDiff(git, projectType, fromRef) {
+  const fromHash = (await git.revparse([fromRef])).trim();
+  const diff = await git.diff(diffArgs([fromHash]));
+  const { diff: filteredDiff, skipped, symbols } = await prepareDiff(git, diff, projectType, fromHash, null);
+
+  if (!filteredDiff) {
+    return [];
+  }
+
+  return [{
+    fromCommit: { hash: fromHash, message: '' },
+    toCommit: { hash: 'working-tree', message: 'Uncommitted changes' },
+    diff: filteredDiff,
+    skipped,
+    symbols,
+    message: 'Uncommitted changes',
+    commits: []
+  }];
+}
+
+// fromRef may be 'empty-tree' to list everything reachable from toRef
+export async function getCommitMessages(git, fromRef, toRef) {
+  const log = fromRef === 'empty-tree'
+    ? await git.log(withPathspec([toRef]))
+    : await git.log(withPathspec([`${fromRef}..${toRef}`]));
+  return log.all.map(commit => commit.body ? `${commit.message}\n${commit.body}` : commit.message);
+}
+
+// Commits between two refs, newest first; fromRef may be 'empty-tree' or the empty tree hash
+export async function getCommitLog(git, fromRef, toRef) {
+  if (toRef === 'working-tree') {
+    return [];
+  }
+
+  const log = fromRef === 'empty-tree' || fromRef === EMPTY_TREE_HASH
+    ? await git.log(withPathspec([toRef]))
+    : await git.log(withPathspec([`${fromRef}..${toRef}`]));
+  return log.all.map(toLogEntry);
+}
+
+// Resolves from..to to its merge base, so a branch range covers only the branch's own commits
+export async function resolveRange(git, fromRef, toRef = 'HEAD') {
+  const base = (await git.raw(['merge-base', fromRef, toRef])).trim();
+  const to = (await git.revparse([toRef])).trim();
+  const count = parseInt((await git.raw(withPathspec(['rev-list', '--count', '--first-parent', `${base}..${to}`]))).trim());
+  return { base, to, count };
+}
+
+// First-parent commits of HEAD within git date expressions (e.g. 2024-03-01, "2 weeks ago"),
+// as a range from the parent of the oldest one; null when no commit matches
+export async function resolveDateRange(git, since = null, until = null) {
+  const args = ['rev-list', '--first-parent'];
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  const hashes = (await git.raw(withPathspec([...args, 'HEAD']))).trim().split('\n').filter(Boolean);
+  if (hashes.length === 0) {
+    return null;
+  }
+
+  // --quiet prints nothing for the root commit's missing parent instead of failing
+  const parent = (await git.raw(['rev-parse', '--verify', '--quiet', `${hashes[hashes.length - 1]}^`])).trim();
+  return { base: parent || EMPTY_TREE_HASH, to: hashes[0], count: hashes.length };
+}
+
+export async function getDefaultBaseBranch(git, candidates = ['main', 'master']) {
+  for (const name of candidates) {
+    // --quiet prints nothing for a missing ref instead of failing
+    const hash = await git.raw(['rev-parse', '--verify', '--quiet', name]);
+    if (hash.trim()) {
+      return name;
+    }
+  }
+  throw new Error(`No base branch found (tried ${candidates.join(', ')}). Use --base <branch>.`);
+}
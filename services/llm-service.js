@@ -0,0 +1,272 @@
+/**
+ * LLM client with pluggable providers, streaming support and error handling
+ *
+ * Implementation:
+ * - Delegates request building and response parsing to provider classes
+ * - Uses fetch API with streaming response processing
+ * - Implements retry logic with exponential backoff; embedding requests fail fast instead,
+ *   since a missing embedding model does not come back on retry
+ * - Handles partial chunks in stream with buffer, for NDJSON and SSE framing
+ * - Supports both chat and completion requests, optionally constrained to JSON output
+ * - Requests embedding vectors for semantic search
+ * - Uses ANSI codes for console output formatting
+ * - Reads settings from the layered CONFIG (config-service.js); runtime changes go to its session layer
+ * - Trims prompts that would overflow the context window, reporting how much was dropped
+ * - Caps concurrent requests at the configured concurrency, queueing the rest
+ * - Writes streamed tokens through worker-pool.js so concurrent tasks can buffer them
+ *
+ * Data flow:
+ * 1. Request -> Provider request -> Streaming response -> Buffer -> Framed lines
+ * 2. Framed lines -> JSON chunks -> Provider content -> Console output + Text accumulation
+ * 3. Final text -> Return
+ *
+ * Providers:
+ * - ollama: Native Ollama API (ollama.js)
+ * - openai: OpenAI-compatible /v1/chat/completions (openai.js)
+ *
+ * Key params (see config-service.js for defaults):
+ * - provider, endpoint, model, apiKey
+ * - maxTokens, contextWindow, temperature, retryAttempts, retryDelay, concurrency, embeddingModel
+ */
+
+import { OllamaProvider, OLLAMA_DEFAULT_ENDPOINT } from './ollama.js';
+import { OpenAIProvider, OPENAI_DEFAULT_ENDPOINT } from './openai.js';
+import { CONFIG, configService } from './config-service.js';
+import { CHARS_PER_TOKEN } from './tokenizer.js';
+import { createLimiter, writeOutput } from './worker-pool.js';
+
+export const PROVIDERS = {
+  ollama: { Provider: OllamaProvider, endpoint: OLLAMA_DEFAULT_ENDPOINT },
+  openai: { Provider: OpenAIProvider, endpoint: OPENAI_DEFAULT_ENDPOINT }
+};
+
+// ANSI escape codes
+const DIM = '\x1b[2m';
+const RESET = '\x1b[0m';
+
+// SSE stream terminator sent by OpenAI-compatible servers
+const SSE_DONE = '[DONE]';
+
+class LLMClient {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this._provider = null;
+    this.listeners = new Set();
+    this.limiter = createLimiter(() => this.config.concurrency, (active, queued) => {
+      this.listeners.forEach(listener => listener(active, queued));
+    });
+  }
+
+  // Recreated whenever the configured provider changes
+  get provider() {
+    if (this._provider?.name !== this.config.provider) {
+      this._provider = this._createProvider(this.config.provider);
+    }
+    return this._provider;
+  }
+
+  // Core API methods
+  // Options: format: 'json' asks the provider for a JSON-only response
+  async query(prompt, maxTokens = this.config.maxTokens, options = {}) {
+    const request = this.provider.buildQueryRequest(this._sanitizePrompt(prompt, maxTokens), maxTokens, options);
+    return this._send(request, 'Error querying LLM:');
+  }
+
+  async chat(messages, maxTokens = this.config.maxTokens, options = {}) {
+    const request = this.provider.buildChatRequest(messages, maxTokens, options);
+    return this._send(request, 'Error in chat with LLM:');
+  }
+
+  // Returns the embedding vector of a text from the configured embeddingModel.
+  // Fails on the first error without retrying or logging; callers decide how to report it
+  async embed(text) {
+    const request = this.provider.buildEmbeddingRequest(text);
+    return this.limiter.run(() => this._fetch(request, parsed => this.provider.extractEmbedding(parsed)));
+  }
+
+  // Each attempt takes its own concurrency slot, so waiting to retry does not hold one
+  async _send(request, errorLabel) {
+    return this._retryWithDelay(() => this.limiter.run(async () => {
+      try {
+        return await this._fetch(request, parsed => this.provider.extractContent(parsed));
+      } catch (error) {
+        console.error(errorLabel, error);
+        throw error;
+      }
+    }));
+  }
+
+  // Extract reads a complete (non-streamed) response
+  async _fetch(request, extract) {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: this.provider.headers(),
+      body: JSON.stringify(request.body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    if (!request.body.stream) {
+      return extract(await response.json());
+    }
+
+    return await this._processStream(response);
+  }
+
+  // Stream handling
+  async _processStream(response) {
+    const reader = response.body.getReader();
+    let fullText = '';
+    let finished = false;
+
+    writeOutput('\n');
+
+    const handleLine = (line) => {
+      const payload = this._unframe(line);
+      if (payload === null) return;
+      if (payload === SSE_DONE) {
+        finished = true;
+        return;
+      }
+
+      try {
+        const content = this.provider.extractContent(JSON.parse(payload));
+        if (content) {
+          writeOutput(DIM + content + RESET);
+          fullText += content;
+        }
+      } catch (e) {
+        // Silently ignore parsing errors
+      }
+    };
+
+    try {
+      let decoder = new TextDecoder();
+      let buffer = '';
+
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        while (!finished) {
+          const newlineIndex = buffer.indexOf('\n');
+          if (newlineIndex === -1) break;
+
+          const line = buffer.slice(0, newlineIndex);
+          buffer = buffer.slice(newlineIndex + 1);
+          handleLine(line);
+        }
+      }
+
+      // Handle any remaining buffer content
+      if (!finished && buffer.trim()) {
+        handleLine(buffer);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+
+    writeOutput('\n');
+
+    return fullText;
+  }
+
+  // Returns the JSON payload of a stream line, or null for lines to skip
+  _unframe(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    if (this.provider.framing === 'sse') {
+      // Ignore comments, event names and ids; only data lines carry content
+      if (!trimmed.startsWith('data:')) return null;
+      return trimmed.slice('data:'.length).trim();
+    }
+
+    return trimmed;
+  }
+
+  // Utility methods
+  // Keeps the prompt within the context window minus the response budget
+  _sanitizePrompt(text, maxTokens) {
+    if (!text) return '';
+
+    const maxChars = Math.max(0, this.config.contextWindow - maxTokens) * CHARS_PER_TOKEN;
+    if (text.length > maxChars) {
+      console.error(`Prompt exceeds the ${this.config.contextWindow}-token context window, dropped its last ${text.length - maxChars} characters`);
+      text = text.slice(0, maxChars);
+    }
+
+    // Quotes and newlines are left to JSON.stringify of the request body
+    return text.replace(/[\u0000-\u0008\u000B-\u000C\u000E-\u001F\u007F-\u009F]/g, '');
+  }
+
+  // Attempts: total tries, at least one even when retryAttempts is 0
+  async _retryWithDelay(fn, attempts = Math.max(1, this.config.retryAttempts)) {
+    for (let i = 0; i < attempts; i++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (i === attempts - 1) throw error;
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * (i + 1)));
+      }
+    }
+  }
+
+  _createProvider(name) {
+    const entry = PROVIDERS[name];
+    if (!entry) {
+      throw new Error(`Unknown provider '${name}'. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new entry.Provider(this.config, entry.endpoint);
+  }
+
+  setProvider(name, endpoint = null, model = null) {
+    this._createProvider(name);
+    configService.set('provider', name);
+    configService.set('endpoint', endpoint || '');
+    if (model) {
+      configService.set('model', model);
+    }
+    return this.getProviderInfo();
+  }
+
+  getProviderInfo() {
+    return {
+      provider: this.config.provider,
+      endpoint: this.provider.endpoint(),
+      model: this.config.model
+    };
+  }
+
+  setLanguage(language) {
+    configService.set('language', language);
+  }
+
+  toggleStreaming(enabled) {
+    configService.set('streaming', enabled);
+    return enabled;
+  }
+
+  // Listener receives (active, queued) request counts; returns an unsubscribe function
+  onRequestActivity(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Create singleton instance
+const llmClient = new LLMClient();
+
+// Export public methods
+export const query = (prompt, maxTokens, options) => llmClient.query(prompt, maxTokens, options);
+export const chat = (messages, maxTokens, options) => llmClient.chat(messages, maxTokens, options);
+export const embed = (text) => llmClient.embed(text);
+export const setLanguage = (language) => llmClient.setLanguage(language);
+export const toggleStreaming = (enabled) => llmClient.toggleStreaming(enabled);
+export const setProvider = (name, endpoint, model) => llmClient.setProvider(name, endpoint, model);
+export const getProviderInfo = () => llmClient.getProviderInfo();
+export const onRequestActivity = (listener) => llmClient.onRequestActivity(listener);
@@ -0,0 +1,155 @@
+/**
+ * Diff noise reduction before analysis
+ *
+ * Implementation:
+ * - Drops lockfiles, minified bundles, test snapshots and files marked as generated
+ * - Drops files left without hunks by whitespace-insensitive diffs (git diff -w)
+ * - Collapses hunks that only move code: every run of changed lines is removed or
+ *   added unchanged elsewhere in the same diff, so a one-line note replaces it
+ * - Reports each dropped or collapsed file with the reason and the changed lines saved
+ *
+ * Data structures:
+ * - SkippedFile: {path: string, reason: lockfile | minified | snapshot | generated |
+ *   whitespace | moved, lines: number}
+ *
+ * Dependencies: diff-parser.js for file entries
+ */
+
+import { posix } from 'path';
+import { countChanges } from './diff-parser.js';
+
+export const LOCKFILES = new Set([
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'go.sum',
+  'poetry.lock',
+  'Pipfile.lock',
+  'composer.lock',
+  'Gemfile.lock',
+  'pubspec.lock',
+  'gradle.lockfile'
+]);
+
+const MINIFIED_PATH_PATTERN = /[.-]min\.(js|css|mjs)$|[.-]bundle\.js$/;
+const SNAPSHOT_PATH_PATTERN = /(^|\/)__snapshots__\/|\.snap$/;
+const GENERATED_MARKER_PATTERN = /@generated|do not edit|auto-?generated|generated by/i;
+
+// Lines at the top of a file searched for a generated marker
+const GENERATED_HEADER_LINES = 10;
+// Added lines longer than this only occur in minified or bundled output
+const MINIFIED_LINE_LENGTH = 1000;
+// Shortest run of non-blank lines treated as moved code rather than a coincidental match
+const MIN_MOVED_LINES = 3;
+
+// Lines the file has near its top, as far as its hunks show them
+function getHeaderLines(file) {
+  return file.hunks
+    .filter(hunk => hunk.newStart <= GENERATED_HEADER_LINES)
+    .flatMap(hunk => hunk.lines.filter(line => line[0] === ' ' || line[0] === '+'))
+    .slice(0, GENERATED_HEADER_LINES);
+}
+
+// Reason to skip the whole file, or null to keep it
+function getSkipReason(file) {
+  const name = posix.basename(file.path);
+  if (LOCKFILES.has(name)) return 'lockfile';
+  if (SNAPSHOT_PATH_PATTERN.test(file.path)) return 'snapshot';
+  if (file.binary || file.status === 'deleted') return null;
+
+  const addedLines = file.hunks.flatMap(hunk => hunk.lines.filter(line => line[0] === '+'));
+  if (MINIFIED_PATH_PATTERN.test(name) || addedLines.some(line => line.length > MINIFIED_LINE_LENGTH)) {
+    return 'minified';
+  }
+  if (getHeaderLines(file).some(line => GENERATED_MARKER_PATTERN.test(line))) return 'generated';
+  // With -w, git keeps the header of a file whose changes were all whitespace
+  if (file.status === 'modified' && file.hunks.length === 0 && !file.oldMode) return 'whitespace';
+  return null;
+}
+
+// Runs of consecutive added or removed lines of a hunk, with surrounding whitespace trimmed
+function getChangeRuns(hunk) {
+  const runs = [];
+  let previousSign = null;
+  for (const line of hunk.lines) {
+    const sign = line[0];
+    if (sign === '+' || sign === '-') {
+      if (sign === previousSign) {
+        runs[runs.length - 1].lines.push(line.slice(1).trim());
+      } else {
+        runs.push({ sign, lines: [line.slice(1).trim()] });
+      }
+    }
+    previousSign = sign;
+  }
+  return runs;
+}
+
+// A run's text without leading and trailing blank lines, which moves often shift
+// from one end of a block to the other
+function getRunText(run) {
+  const first = run.lines.findIndex(Boolean);
+  const last = run.lines.findLastIndex(Boolean);
+  return run.lines.slice(first, last + 1).join('\n');
+}
+
+// Newline-delimited text of all runs of one sign, for substring lookups of moved blocks
+function joinRuns(files, sign) {
+  const runs = files.flatMap(file => file.hunks.flatMap(getChangeRuns)).filter(run => run.sign === sign);
+  return `\n${runs.map(getRunText).join('\n\0\n')}\n`;
+}
+
+function isMovedRun(run, removedText, addedText) {
+  if (run.lines.filter(Boolean).length < MIN_MOVED_LINES) return false;
+  return (run.sign === '+' ? removedText : addedText).includes(`\n${getRunText(run)}\n`);
+}
+
+// Files: FileDiff[] (diff-parser.js). Returns the files to analyze, with moved hunks
+// collapsed to a note, and the skipped files
+export function reduceNoise(files) {
+  const skipped = [];
+  const kept = [];
+
+  for (const file of files) {
+    const reason = getSkipReason(file);
+    if (reason) {
+      const { added, removed } = countChanges(file);
+      skipped.push({ path: file.path, reason, lines: added + removed });
+    } else {
+      kept.push(file);
+    }
+  }
+
+  const removedText = joinRuns(kept, '-');
+  const addedText = joinRuns(kept, '+');
+
+  const result = kept.map(file => {
+    let collapsedLines = 0;
+    const hunks = file.hunks.map(hunk => {
+      // Blank-only runs, such as a spacer line left behind by a move, neither count as moved
+      // nor keep the rest of the hunk from collapsing
+      const runs = getChangeRuns(hunk).filter(run => run.lines.some(Boolean));
+      if (runs.length === 0 || !runs.every(run => isMovedRun(run, removedText, addedText))) {
+        return hunk;
+      }
+      const { added, removed } = countChanges({ hunks: [hunk] });
+      collapsedLines += added + removed;
+      const direction = removed > 0 && added > 0 ? 'moved within the file' : removed > 0 ? 'moved elsewhere' : 'moved here';
+      return { ...hunk, lines: [`# ${added + removed} unchanged lines ${direction}`] };
+    });
+
+    if (collapsedLines === 0) return file;
+    skipped.push({ path: file.path, reason: 'moved', lines: collapsedLines });
+    return { ...file, hunks };
+  });
+
+  return { files: result, skipped };
+}
+
+// Short report line, e.g. "package-lock.json (lockfile, 1204 lines), src/a.js (moved, 40 lines)"
+export function formatSkipped(skipped) {
+  return skipped.map(({ path, reason, lines }) => `${path} (${reason}${lines > 0 ? `, ${lines} lines` : ''})`).join(', ');
+}
@@ -1,225 +1,94 @@
 /**
- * Ollama API client with streaming support and error handling
- * 
+ * Ollama provider for the LLM service
+ *
  * Implementation:
- * - Uses fetch API with streaming response processing
- * - Implements retry logic with exponential backoff
- * - Handles partial JSON chunks in stream with buffer
- * - Supports both chat and completion endpoints
- * - Uses ANSI codes for console output formatting
- * 
- * Data flow:
- * 1. Request -> Streaming response -> Buffer -> JSON chunks
- * 2. JSON chunks -> Console output + Text accumulation
- * 3. Final text -> Response cleanup -> Return
- * 
- * Key params:
- * - model: llama3.2:3b
- * - max_tokens: 4096
- * - num_ctx: 131072 (context window)
- * - temperature: 0.3
+ * - Builds requests for the native generate and chat endpoints
+ * - Streams responses as newline-delimited JSON (NDJSON)
+ * - Extracts text from both streamed chunks and complete responses
+ * - Requests JSON output through the `format` option
+ * - Embeds text with the configured embedding model
+ *
+ * Endpoints:
+ * - POST {endpoint}api/generate: Single prompt completion
+ * - POST {endpoint}api/chat: Multi-turn chat
+ * - POST {endpoint}api/embeddings: Embedding vector of a text
+ *
+ * Key params, sent in the request's `options` since Ollama ignores them at the top level:
+ * - temperature: temperature from config
+ * - num_predict: the response budget, maxTokens from config by default
+ * - num_ctx: contextWindow from config (default 131072)
  */
 
-// Configuration
-export const CONFIG = {
-  endpoint: 'http://localhost:11434/',
-  model: 'llama3.2:3b',
-  temperature: 0.3,
-  retryAttempts: 3,
-  retryDelay: 1000,
-  maxTokens: 4096,
-  language: 'English',
-  streaming: true
-};
+export const OLLAMA_DEFAULT_ENDPOINT = 'http://localhost:11434/';
 
-// ANSI escape codes
-const DIM = '\x1b[2m';
-const RESET = '\x1b[0m';
-
-class OllamaClient {
-  constructor(config = CONFIG) {
+export class OllamaProvider {
+  constructor(config, defaultEndpoint = OLLAMA_DEFAULT_ENDPOINT) {
     this.config = config;
+    this.defaultEndpoint = defaultEndpoint;
+    this.name = 'ollama';
+    this.framing = 'ndjson';
   }
 
-  // Core API method
-  async query(prompt, maxTokens = this.config.maxTokens) {
-    return this._retryWithDelay(async () => {
-      try {
-        const response = await fetch(this.config.endpoint + 'api/generate', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model: this.config.model,
-            prompt: this._sanitizePrompt(prompt),
-            stream: this.config.streaming,
-            temperature: this.config.temperature,
-            max_tokens: maxTokens,
-            num_ctx: 131072
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        return await this._processStream(response, false);
-      } catch (error) {
-        console.error('Error querying Ollama:', error);
-        throw error;
-      }
-    });
+  // Configured endpoint with a trailing slash, or the provider default
+  endpoint() {
+    return (this.config.endpoint || this.defaultEndpoint).replace(/\/?$/, '/');
   }
 
-  async chat(messages, maxTokens = this.config.maxTokens) {
-    return this._retryWithDelay(async () => {
-      try {
-        const response = await fetch(this.config.endpoint + 'api/chat', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model: this.config.model,
-            messages,
-            stream: this.config.streaming,
-            temperature: this.config.temperature,
-            max_tokens: maxTokens
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        return await this._processStream(response, true);
-      } catch (error) {
-        console.error('Error in chat with Ollama:', error);
-        throw error;
-      }
-    });
+  headers() {
+    return { 'Content-Type': 'application/json' };
   }
 
-  // Stream handling
-  async _processStream(response, isChat = false) {
-    const reader = response.body.getReader();
-    let fullText = '';
-
-    if (this.config.streaming) {
-      process.stdout.write('\n');
-    }
-
-    try {
-      let decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-
-        while (true) {
-          const newlineIndex = buffer.indexOf('\n');
-          if (newlineIndex === -1) break;
-
-          const line = buffer.slice(0, newlineIndex);
-          buffer = buffer.slice(newlineIndex + 1);
-
-          if (!line.trim()) continue;
-
-          try {
-            const parsed = JSON.parse(line);
-            fullText = isChat ? 
-              this._processChatStream(parsed, fullText) : 
-              this._processQueryStream(parsed, fullText);
-          } catch (e) {
-            // Silently ignore parsing errors
-          }
-        }
-      }
-
-      // Handle any remaining buffer content
-      if (buffer.trim()) {
-        try {
-          const parsed = JSON.parse(buffer);
-          fullText = isChat ? 
-            this._processChatStream(parsed, fullText) : 
-            this._processQueryStream(parsed, fullText);
-        } catch (e) {
-          // Silently ignore parsing errors
-        }
-      }
-    } finally {
-      reader.releaseLock();
-    }
-
-    if (this.config.streaming) {
-      process.stdout.write('\n');
-    }
-
-    return fullText;
+  // Model parameters of generate and chat requests
+  modelOptions(maxTokens) {
+    return {
+      temperature: this.config.temperature,
+      num_predict: maxTokens,
+      num_ctx: this.config.contextWindow
+    };
   }
 
-  _processChatStream(parsed, currentText) {
-    const content = parsed.message?.content || '';
-    if (content && !parsed.done) {
-      if (this.config.streaming) {
-        process.stdout.write(DIM + content + RESET);
+  buildQueryRequest(prompt, maxTokens, options = {}) {
+    return {
+      url: this.endpoint() + 'api/generate',
+      body: {
+        model: this.config.model,
+        prompt,
+        stream: this.config.streaming,
+        options: this.modelOptions(maxTokens),
+        ...(options.format === 'json' && { format: 'json' })
       }
-      return currentText + content; // Now accumulating chat responses
-    }
-    return currentText;
+    };
   }
 
-  _processQueryStream(parsed, currentText) {
-    const content = parsed.response || '';
-    if (content) {
-      if (this.config.streaming) {
-        process.stdout.write(DIM + content + RESET);
+  buildChatRequest(messages, maxTokens, options = {}) {
+    return {
+      url: this.endpoint() + 'api/chat',
+      body: {
+        model: this.config.model,
+        messages,
+        stream: this.config.streaming,
+        options: this.modelOptions(maxTokens),
+        ...(options.format === 'json' && { format: 'json' })
       }
-      return currentText + content; // Query concatenates responses
-    }
-    return currentText;
-  }
-
-  // Utility methods
-  _sanitizePrompt(text) {
-    if (!text) return '';
-    const sanitized = text
-      .replace(/[\u0000-\u0008\u000B-\u000C\u000E-\u001F\u007F-\u009F]/g, '')
-      .replace(/\\(?!["\\/bfnrt])/g, '\\\\')
-      .replace(/"/g, '\\"')
-      .replace(/\n/g, '\\n')
-      .replace(/\r/g, '\\r')
-      .replace(/\t/g, '\\t');
-
-    return sanitized.slice(0, 100000);
+    };
   }
 
-  async _retryWithDelay(fn, retries = this.config.retryAttempts) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        return await fn();
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * (i + 1)));
+  buildEmbeddingRequest(text) {
+    return {
+      url: this.endpoint() + 'api/embeddings',
+      body: {
+        model: this.config.embeddingModel,
+        prompt: text
       }
-    }
+    };
   }
 
-  setLanguage(language) {
-    this.config.language = language;
+  extractEmbedding(parsed) {
+    return parsed.embedding || [];
   }
 
-  toggleStreaming(enabled) {
-    this.config.streaming = enabled;
-    return enabled;
+  // Generate responses carry `response`, chat responses carry `message.content`
+  extractContent(parsed) {
+    return parsed.message?.content ?? parsed.response ?? '';
   }
 }
-
-// Create singleton instance
-const ollamaClient = new OllamaClient();
-
-// Export public methods
-export const query = (prompt, maxTokens) => ollamaClient.query(prompt, maxTokens);
-export const setLanguage = (language) => ollamaClient.setLanguage(language);
-export const toggleStreaming = (enabled) => ollamaClient.toggleStreaming(enabled);
-export const chat = (messages, maxTokens) => ollamaClient.chat(messages, maxTokens);
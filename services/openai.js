@@ -0,0 +1,79 @@
+/**
+ * OpenAI-compatible provider for the LLM service
+ *
+ * Implementation:
+ * - Targets the /v1/chat/completions endpoint served by LM Studio, vLLM,
+ *   llama.cpp server and other OpenAI-compatible backends
+ * - Sends single prompts as a one-message chat
+ * - Streams responses as server-sent events (SSE) with `data:` framing
+ * - Sends a bearer token when an API key is configured
+ * - Requests JSON output through `response_format`
+ * - Embeds text with the configured embedding model
+ *
+ * Endpoints:
+ * - POST {endpoint}chat/completions, where endpoint includes the /v1/ prefix
+ * - POST {endpoint}embeddings: Embedding vector of a text
+ */
+
+export const OPENAI_DEFAULT_ENDPOINT = 'http://localhost:1234/v1/';
+
+export class OpenAIProvider {
+  constructor(config, defaultEndpoint = OPENAI_DEFAULT_ENDPOINT) {
+    this.config = config;
+    this.defaultEndpoint = defaultEndpoint;
+    this.name = 'openai';
+    this.framing = 'sse';
+  }
+
+  // Configured endpoint with a trailing slash, or the provider default
+  endpoint() {
+    return (this.config.endpoint || this.defaultEndpoint).replace(/\/?$/, '/');
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildQueryRequest(prompt, maxTokens, options = {}) {
+    return this.buildChatRequest([{ role: 'user', content: prompt }], maxTokens, options);
+  }
+
+  buildChatRequest(messages, maxTokens, options = {}) {
+    return {
+      url: this.endpoint() + 'chat/completions',
+      body: {
+        model: this.config.model,
+        messages,
+        stream: this.config.streaming,
+        temperature: this.config.temperature,
+        max_tokens: maxTokens,
+        ...(options.format === 'json' && { response_format: { type: 'json_object' } })
+      }
+    };
+  }
+
+  buildEmbeddingRequest(text) {
+    return {
+      url: this.endpoint() + 'embeddings',
+      body: {
+        model: this.config.embeddingModel,
+        input: text
+      }
+    };
+  }
+
+  extractEmbedding(parsed) {
+    return parsed.data?.[0]?.embedding || [];
+  }
+
+  // Streamed chunks carry `delta`, complete responses carry `message`
+  extractContent(parsed) {
+    const choice = parsed.choices?.[0];
+    if (!choice) return '';
+    return choice.delta?.content ?? choice.message?.content ?? choice.text ?? '';
+  }
+}
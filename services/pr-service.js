@@ -0,0 +1,79 @@
+/**
+ * Pull request description service
+ *
+ * Implementation:
+ * - Diffs the current branch against the merge base with its base branch
+ * - Optionally includes uncommitted changes and untracked files from git status
+ * - Analyzes the diff per file through the feature pipeline
+ * - Renders a ready-to-paste markdown title and body
+ *
+ * Data structures:
+ * - PullRequest: {title, summary, changes: string[], risks: string[], testing: string[]}
+ *
+ * Dependencies: git-service.js for ranges, feature-service.js for analysis
+ */
+
+import fs from 'fs/promises';
+import { resolve } from 'path';
+import {
+  resolveRange,
+  getRangeDiff,
+  getWorkingTreeDiff,
+  getCommitMessages,
+  getDefaultBaseBranch
+} from './git-service.js';
+import { generatePullRequest } from './git-analyzer.js';
+import { featureService } from './feature-service.js';
+import { repoService } from './repo-service.js';
+
+const BASE_CANDIDATES = ['main', 'master', 'origin/main', 'origin/master'];
+
+export function renderPullRequest(pr) {
+  const section = (title, items) => items.length > 0
+    ? `## ${title}\n\n${items.map(item => `- ${item}`).join('\n')}\n`
+    : '';
+
+  return [
+    `# ${pr.title}\n`,
+    `## Summary\n\n${pr.summary}\n`,
+    section('Notable Changes', pr.changes),
+    section('Risk Areas', pr.risks),
+    section('Testing Notes', pr.testing)
+  ].filter(Boolean).join('\n');
+}
+
+export class PullRequestService {
+  // Writes the description to filePath when given, relative to the repository
+  async generate(repoPath, projectType, { baseRef = null, includeUncommitted = false, filePath = null } = {}) {
+    const git = repoService.getGit();
+    const base = baseRef || await getDefaultBaseBranch(git, BASE_CANDIDATES);
+    const range = await resolveRange(git, base, 'HEAD');
+
+    let untrackedFiles = [];
+    let diffs;
+    if (includeUncommitted) {
+      const status = await repoService.refreshStatus();
+      untrackedFiles = status.not_added;
+      diffs = await getWorkingTreeDiff(git, projectType, range.base);
+    } else {
+      diffs = await getRangeDiff(git, projectType, range.base, range.to);
+    }
+
+    if (diffs.length === 0 && untrackedFiles.length === 0) {
+      throw new Error(`No changes between ${base} and the current branch`);
+    }
+
+    await featureService.processDiffs(diffs, 'commit');
+    const commitMessages = range.count > 0 ? await getCommitMessages(git, range.base, range.to) : [];
+    const pr = await generatePullRequest(featureService.allFeatures, commitMessages, untrackedFiles);
+    const markdown = renderPullRequest(pr);
+
+    if (filePath) {
+      await fs.writeFile(resolve(repoPath, filePath), markdown);
+    }
+
+    return { base, pr, markdown, path: filePath };
+  }
+}
+
+export const pullRequestService = new PullRequestService();
@@ -12,6 +12,8 @@
  * - Multiple progress bar styles
  * - Progress percentage calculation
  * - ETA estimation
+ * - Configurable output stream, skipped when not a TTY
+ * - Optional detail text after the bar, e.g. in-flight requests
  */
 
 import { COLORS } from './cli-service.js';
@@ -20,6 +22,11 @@ export class ProgressService {
   constructor(options = {}) {
     this.width = options.width || 30;
     this.startTime = null;
+    this.stream = options.stream || process.stdout;
+  }
+
+  setStream(stream) {
+    this.stream = stream;
   }
 
   createBar(total) {
@@ -63,16 +70,20 @@ export class ProgressService {
     return `${hours}h ${minutes}m`;
   }
 
-  updateProgress(current, total, message) {
+  updateProgress(current, total, message, detail = '') {
     const progressBar = this.createBar(total);
-    process.stdout.clearLine(0);
-    process.stdout.cursorTo(0);
-    process.stdout.write(`${message}: ${progressBar(current)}`);
+    // Redrawing in place needs a terminal; piped output gets no progress bar
+    if (!this.stream.isTTY) return;
+    this.stream.clearLine(0);
+    this.stream.cursorTo(0);
+    this.stream.write(`${message}: ${progressBar(current)}${detail ? ` ${COLORS.GRAY}${detail}${COLORS.RESET}` : ''}`);
   }
 
   complete(message) {
-    process.stdout.clearLine(0);
-    process.stdout.cursorTo(0);
+    if (this.stream.isTTY) {
+      this.stream.clearLine(0);
+      this.stream.cursorTo(0);
+    }
     const elapsed = this.getElapsedTime();
     console.log(`${COLORS.GREEN}${message} (took ${this.formatTime(elapsed)})${COLORS.RESET}`);
     this.startTime = null;
@@ -6,6 +6,8 @@
  * - Hierarchical detection: manifest files -> framework files -> extensions
  * - Caches patterns by project type for performance
  * - Handles unknown project types with fallback patterns
+ * - Splits monorepos and polyglot repositories into components, each with its own
+ *   root and languages, from workspace declarations and manifests in any directory
  * 
  * Project types and indicators:
  * - web: package.json + framework files (React, Vue, Angular)
@@ -14,8 +16,21 @@
  * - dart: .dart files or pubspec.yaml
  * - python: .py, requirements.txt, setup.py
  * - java: .java, pom.xml, build.gradle
+ * - rust: .rs or Cargo.toml
+ *
+ * Workspace declarations (read from the repository root):
+ * - npm/yarn: "workspaces" in package.json; pnpm: pnpm-workspace.yaml
+ * - go: "use" directives in go.work
+ * - cargo: [workspace] members in Cargo.toml
+ * - gradle: include(...) in settings.gradle or settings.gradle.kts
+ *
+ * Data structures:
+ * - Component: {root: string ('' for the repository root), type: string,
+ *   languages: string[], workspace: string | null}
  */
 
+import { posix } from 'path';
+
 export function detectProjectType(files) {
   // Check for package.json for Node/Web projects
   if (files.includes('package.json')) {
@@ -32,6 +47,11 @@ export function detectProjectType(files) {
     return 'dart';
   }
   
+  // Check for Rust projects
+  if (files.includes('Cargo.toml') || files.some(file => file.endsWith('.rs'))) {
+    return 'rust';
+  }
+
   // Check for Python projects
   if (files.includes('requirements.txt') || files.includes('setup.py') || files.some(file => file.endsWith('.py'))) {
     return 'python';
@@ -77,13 +97,166 @@ export function getSourceFilePatterns(projectType) {
     dart: ['.dart'],
     python: ['.py'],
     java: ['.java'],
+    rust: ['.rs'],
     unknown: ['.js', '.ts', '.go', '.py', '.java', '.dart', '.cpp', '.c', '.h', '.hpp']
   };
 
   return patterns[projectType] || patterns.unknown;
 }
 
+// Accepts one project type or several, e.g. the languages of a component
 export function isSourceFile(filePath, projectType) {
-  const sourcePatterns = getSourceFilePatterns(projectType);
+  const sourcePatterns = [].concat(projectType).flatMap(getSourceFilePatterns);
   return sourcePatterns.some(ext => filePath.toLowerCase().endsWith(ext));
 }
+
+// Manifest files marking a component root, with the language they indicate
+const MANIFESTS = {
+  'package.json': 'node',
+  'go.mod': 'go',
+  'Cargo.toml': 'rust',
+  'pyproject.toml': 'python',
+  'setup.py': 'python',
+  'setup.cfg': 'python',
+  'requirements.txt': 'python',
+  'pom.xml': 'java',
+  'build.gradle': 'java',
+  'build.gradle.kts': 'java',
+  'pubspec.yaml': 'dart'
+};
+
+// Quoted strings inside a manifest snippet
+function quotedValues(text) {
+  return [...text.matchAll(/["']([^"']+)["']/g)].map(match => match[1]);
+}
+
+function parsePackageWorkspaces(content) {
+  try {
+    const { workspaces } = JSON.parse(content);
+    return Array.isArray(workspaces) ? workspaces : workspaces?.packages || [];
+  } catch {
+    return [];
+  }
+}
+
+// Entries of the top-level "packages:" list
+function parsePnpmWorkspaces(content) {
+  const section = content.match(/^packages:\s*\n((?:[ \t]+.*\n?|\s*\n)*)/m)?.[1] || '';
+  return section.split('\n')
+    .map(line => line.match(/^\s*-\s*["']?([^"'#]+?)["']?\s*(?:#.*)?$/)?.[1])
+    .filter(Boolean);
+}
+
+// "use ./dir" lines and "use ( ... )" blocks
+function parseGoWork(content) {
+  const paths = [];
+  for (const [, block, single] of content.matchAll(/^use\s*(?:\(([^)]*)\)|(\S+))/gm)) {
+    paths.push(...(block ? block.split('\n').map(line => line.replace(/\/\/.*/, '').trim()) : [single]));
+  }
+  return paths.filter(Boolean);
+}
+
+function parseCargoWorkspace(content) {
+  const members = content.match(/^\[workspace\][^[]*?members\s*=\s*\[([^\]]*)\]/m)?.[1];
+  return members ? quotedValues(members) : [];
+}
+
+// include ':app', ':lib:core' or include("app") map to app and lib/core
+function parseGradleSettings(content) {
+  return content.split('\n')
+    .filter(line => /^\s*include\b/.test(line))
+    .flatMap(line => quotedValues(line))
+    .map(project => project.replace(/^:/, '').replace(/:/g, '/'));
+}
+
+const WORKSPACE_FILES = [
+  { file: 'package.json', workspace: 'npm', parse: parsePackageWorkspaces },
+  { file: 'pnpm-workspace.yaml', workspace: 'pnpm', parse: parsePnpmWorkspaces },
+  { file: 'go.work', workspace: 'go', parse: parseGoWork },
+  { file: 'Cargo.toml', workspace: 'cargo', parse: parseCargoWorkspace },
+  { file: 'settings.gradle', workspace: 'gradle', parse: parseGradleSettings },
+  { file: 'settings.gradle.kts', workspace: 'gradle', parse: parseGradleSettings }
+];
+
+// Workspace globs support * within a path segment and ** across segments
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('/')
+    .map(segment => segment === '**'
+      ? '.*'
+      : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+    .join('/');
+  return new RegExp(`^${pattern}$`);
+}
+
+function normalizeRoot(path) {
+  const root = posix.normalize(path.trim()).replace(/^\.\/?|\/$/g, '');
+  return root === '.' ? '' : root;
+}
+
+function isUnder(filePath, root) {
+  return root === '' || filePath.startsWith(`${root}/`);
+}
+
+// Innermost component whose root contains the repository-relative file path
+export function getFileComponent(components, filePath) {
+  return components
+    .filter(component => isUnder(filePath, component.root))
+    .sort((a, b) => b.root.length - a.root.length)[0] || null;
+}
+
+// readFile(path) resolves to a root-relative file's content, or null when it is missing.
+// Returns the repository root component first, then the others sorted by root
+export async function detectComponents(files, readFile) {
+  const directories = new Set(files.flatMap(file => {
+    const parts = file.split('/').slice(0, -1);
+    return parts.map((part, i) => parts.slice(0, i + 1).join('/'));
+  }));
+
+  // Roots declared by workspace files, expanded against the tracked directories
+  const workspaceRoots = new Map();
+  for (const { file, workspace, parse } of WORKSPACE_FILES) {
+    if (!files.includes(file)) continue;
+    const content = await readFile(file);
+    if (!content) continue;
+
+    const globs = parse(content);
+    const excluded = globs.filter(glob => glob.startsWith('!')).map(glob => globToRegExp(normalizeRoot(glob.slice(1))));
+    const kind = workspace === 'npm' && files.includes('yarn.lock') ? 'yarn' : workspace;
+    for (const glob of globs.filter(glob => !glob.startsWith('!'))) {
+      const matcher = globToRegExp(normalizeRoot(glob));
+      [...directories]
+        .filter(dir => matcher.test(dir) && !excluded.some(exclude => exclude.test(dir)))
+        .forEach(dir => workspaceRoots.set(dir, kind));
+    }
+  }
+
+  // Every directory with a manifest is a component, workspace member or not
+  const manifestRoots = files
+    .filter(file => MANIFESTS[posix.basename(file)])
+    .map(file => posix.dirname(file) === '.' ? '' : posix.dirname(file));
+  const roots = [...new Set(['', ...workspaceRoots.keys(), ...manifestRoots])].sort();
+
+  // Each file belongs to its innermost component, relative to that component's root
+  const ownFiles = new Map(roots.map(root => [root, []]));
+  for (const file of files) {
+    let root = posix.dirname(file);
+    while (root !== '.' && !ownFiles.has(root)) {
+      root = posix.dirname(root);
+    }
+    root = root === '.' ? '' : root;
+    ownFiles.get(root).push(root ? file.slice(root.length + 1) : file);
+  }
+
+  return roots.map(root => {
+    const type = detectProjectType(ownFiles.get(root));
+    const manifestLanguages = ownFiles.get(root)
+      .filter(file => !file.includes('/') && MANIFESTS[file])
+      .map(file => MANIFESTS[file]);
+    // A web component's package.json does not add the narrower node extension list
+    const languages = [type, ...manifestLanguages.map(language => language === 'node' && type === 'web' ? 'web' : language)]
+      .filter((language, i, all) => language !== 'unknown' && all.indexOf(language) === i);
+
+    return { root, type, languages: languages.length > 0 ? languages : [type], workspace: workspaceRoots.get(root) || null };
+  });
+}
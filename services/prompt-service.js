@@ -0,0 +1,126 @@
+/**
+ * Prompt template service
+ *
+ * Implementation:
+ * - Loads prompt templates from files, grouped into named style presets
+ * - Resolves templates from the repository, the global config dir, then built-in presets
+ * - Falls back to the default preset for templates a style does not define
+ * - Substitutes {{variable}} placeholders, leaving unknown ones empty
+ * - Versions each template by a hash of its content, for cache invalidation
+ *
+ * Template lookup for <style>/<name>.md (first match wins):
+ * 1. <repo>/.git-to-text/prompts/
+ * 2. $XDG_CONFIG_HOME/git-to-text/prompts/ (defaults to ~/.config)
+ * 3. Built-in prompts/ directory
+ * 4. Built-in prompts/default/<name>.md
+ *
+ * Templates: analyze, summarize, update-doc, ask, changelog, pr
+ * Variables: diff, language, projectType, commitMessages, categories, summary (ask),
+ *   features (changelog, pr), untrackedFiles (pr)
+ */
+
+import fs from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { CONFIG, getGlobalConfigDir } from './config-service.js';
+
+export const BUILTIN_PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+export const DEFAULT_STYLE = 'default';
+
+async function readOptional(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+async function listDirectories(path) {
+  try {
+    const entries = await fs.readdir(path, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return [];
+  }
+}
+
+export function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+export class PromptService {
+  constructor() {
+    this.repoPath = null;
+    this.projectType = 'unknown';
+  }
+
+  setRepository(repoPath, projectType) {
+    this.repoPath = repoPath;
+    this.projectType = projectType;
+  }
+
+  // Renders prompts for another project type while fn runs, e.g. for one package of a monorepo
+  async withProjectType(projectType, fn) {
+    const previous = this.projectType;
+    this.projectType = projectType;
+    try {
+      return await fn();
+    } finally {
+      this.projectType = previous;
+    }
+  }
+
+  _searchDirs() {
+    return [
+      this.repoPath && join(this.repoPath, '.git-to-text', 'prompts'),
+      join(getGlobalConfigDir(), 'prompts'),
+      BUILTIN_PROMPTS_DIR
+    ].filter(Boolean);
+  }
+
+  async load(name, style = CONFIG.style) {
+    for (const dir of this._searchDirs()) {
+      const template = await readOptional(join(dir, style, `${name}.md`));
+      if (template !== null) {
+        return { template: template.trim(), style };
+      }
+    }
+
+    const fallback = await readOptional(join(BUILTIN_PROMPTS_DIR, DEFAULT_STYLE, `${name}.md`));
+    if (fallback === null) {
+      throw new Error(`Prompt template '${name}' not found`);
+    }
+    return { template: fallback.trim(), style: DEFAULT_STYLE };
+  }
+
+  async render(name, variables = {}) {
+    const { template } = await this.load(name);
+    return renderTemplate(template, {
+      language: CONFIG.language,
+      projectType: this.projectType,
+      ...variables
+    });
+  }
+
+  // Changes whenever the selected style or the template text changes
+  async getVersion(name) {
+    const { template, style } = await this.load(name);
+    return `${style}:${createHash('sha256').update(template).digest('hex').substring(0, 12)}`;
+  }
+
+  async listStyles() {
+    const styles = new Set();
+    for (const dir of this._searchDirs()) {
+      (await listDirectories(dir)).forEach(style => styles.add(style));
+    }
+    return [...styles].sort();
+  }
+}
+
+export const promptService = new PromptService();
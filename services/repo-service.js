@@ -12,12 +12,31 @@
  * - Commit and branch tracking
  * - Feature processing state
  * - Last run information
+ * - Path scopes for monorepos, with their project types and commit count
+ * - Components (workspace packages and manifest roots) with their own languages
  */
 
 import simpleGit from 'simple-git';
-import { resolve } from 'path';
-import { detectProjectType } from './project-analyzer.js';
+import fs from 'fs/promises';
+import { resolve, join } from 'path';
+import { detectProjectType, detectComponents } from './project-analyzer.js';
 import { formatOutput, COLORS } from './cli-service.js';
+import { cacheService } from './cache-service.js';
+import { checkpointService } from './checkpoint-service.js';
+import { searchService } from './search-service.js';
+import { scopeService } from './scope-service.js';
+import { filterService } from './filter-service.js';
+import { configService } from './config-service.js';
+import { promptService } from './prompt-service.js';
+
+async function readOptional(path) {
+  try {
+    return await fs.readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
 
 export class RepositoryService {
   constructor() {
@@ -26,6 +45,9 @@ export class RepositoryService {
       totalCommits: 0,
       stats: null,
       projectType: 'unknown',
+      components: [],
+      scopes: [],
+      scopedCommits: null,
       lastRun: {
         type: null,
         params: null
@@ -51,11 +73,12 @@ export class RepositoryService {
       git.raw(['ls-files']).then(files => files.split('\n').filter(Boolean)),
       git.branchLocal(),
       git.status(),
-      git.raw(['rev-list', '--count', 'HEAD']).then(count => parseInt(count.trim()))
+      git.raw(['rev-list', '--count', '--first-parent', 'HEAD']).then(count => parseInt(count.trim()))
     ]);
 
-    // Analyze project type
+    // Analyze project type, and the components of monorepos and polyglot repositories
     const projectType = detectProjectType(files);
+    const components = await detectComponents(files, file => readOptional(join(validPath, file)));
 
     // Update state
     this.state = {
@@ -63,12 +86,75 @@ export class RepositoryService {
       totalCommits,
       stats: { branches, commits: totalCommits, status },
       projectType,
+      components,
+      scopes: [],
+      scopedCommits: null,
       lastRun: { type: null, params: null }
     };
+    await configService.load(validPath);
+    cacheService.setRepository(validPath);
+    checkpointService.setRepository(validPath);
+    searchService.setRepository(validPath);
+    scopeService.setRepository(validPath);
+    await filterService.load(validPath);
+    filterService.setComponents(components);
+    promptService.setRepository(validPath, this.getPromptProjectType());
 
     return this.state;
   }
 
+  // Restricts analysis to repository subdirectories; no paths analyze the whole repository again
+  async setScopes(paths) {
+    const git = this.getGit();
+    if (paths.length === 0) {
+      scopeService.clear();
+    } else {
+      await scopeService.set(git, paths);
+    }
+
+    this.state.scopes = scopeService.getScopes();
+    this.state.scopedCommits = scopeService.isScoped()
+      ? parseInt((await git.raw(['rev-list', '--count', '--first-parent', 'HEAD', ...scopeService.getPathspec()])).trim())
+      : null;
+    promptService.setRepository(this.state.repoPath, this.getPromptProjectType());
+    return this.state.scopes;
+  }
+
+  // Project type named in prompts: the type shared by all scopes, else every component
+  // language of a polyglot repository, else the repository's type
+  getPromptProjectType() {
+    const languages = [...new Set(this.state.components.flatMap(component => component.languages))]
+      .filter(language => language !== 'unknown');
+    return scopeService.getProjectType(languages.length > 1 ? languages.join(', ') : this.state.projectType);
+  }
+
+  // First-parent commits of HEAD that touch the current scopes, or all of them when unscoped,
+  // as /commit walks them
+  getCommitCount() {
+    return this.state.scopedCommits ?? this.state.totalCommits;
+  }
+
+  displayComponents() {
+    console.log(`\n${COLORS.BOLD}Components${COLORS.RESET}`);
+    this.state.components.forEach(({ root, languages, workspace }) => {
+      const details = workspace ? `${languages.join(', ')} ${formatOutput('dim', `(${workspace} workspace)`)}` : languages.join(', ');
+      console.log(`  ${COLORS.GREEN}${root || '.'}${COLORS.RESET} ${details}`);
+    });
+  }
+
+  displayScopes() {
+    const { scopes, scopedCommits } = this.state;
+    if (scopes.length === 0) {
+      console.log(`${COLORS.WHITE}Scope:${COLORS.RESET}            ${COLORS.GREEN}whole repository${COLORS.RESET}`);
+      return;
+    }
+
+    console.log(`\n${COLORS.BOLD}Scopes${COLORS.RESET} ${formatOutput('dim', `(${scopedCommits} commits)`)}`);
+    scopes.forEach(({ path, projectType, files }) => {
+      console.log(`  ${COLORS.GREEN}${path}${COLORS.RESET} ${projectType} ${formatOutput('dim', `(${files} files)`)}`);
+    });
+  }
+
   displayRepositoryInfo() {
     const { repoPath, projectType, stats } = this.state;
     const { branches, commits, status } = stats;
@@ -79,6 +165,12 @@ export class RepositoryService {
     console.log(`${COLORS.WHITE}Current Branch:${COLORS.RESET}   ${COLORS.GREEN}${branches.current}${COLORS.RESET}`);
     console.log(`${COLORS.WHITE}Total Commits:${COLORS.RESET}    ${COLORS.YELLOW}${commits}${COLORS.RESET}`);
     console.log(`${COLORS.WHITE}Total Branches:${COLORS.RESET}   ${COLORS.YELLOW}${branches.all.length}${COLORS.RESET}`);
+    if (this.state.components.length > 1) {
+      this.displayComponents();
+    }
+    if (this.state.scopes.length > 0) {
+      this.displayScopes();
+    }
 
     if (status.modified.length > 0 || status.staged.length > 0) {
       console.log(`\n${COLORS.BOLD}Working Directory Status${COLORS.RESET}`);
@@ -87,6 +179,12 @@ export class RepositoryService {
     }
   }
 
+  async refreshStatus() {
+    const status = await this.getGit().status();
+    this.state.stats.status = status;
+    return status;
+  }
+
   getGit() {
     if (!this.state.repoPath) {
       throw new Error('No repository selected');
@@ -0,0 +1,186 @@
+/**
+ * Static HTML timeline report service
+ *
+ * Implementation:
+ * - Lays out the ranges of the last /commit or /tag run on a timeline, newest first
+ * - Shows each range's commits (subject, author, date) and changed files
+ * - Consolidates the analyzed features into a summary when none exists yet
+ * - Writes a single offline HTML file: styles, script and data are embedded, nothing is fetched
+ * - Filters the timeline in the browser by free-text search, category and author
+ *
+ * Data structures:
+ * - ReportRange: {type, from, to, date, label, files: string[], features: Feature[], commits: LogEntry[],
+ *   skipped: SkippedFile[], symbols: FileSymbols[]}
+ *
+ * Dependencies: feature-service.js for analyzed ranges and their commits,
+ * export-service.js for output paths and escaping
+ */
+
+import fs from 'fs/promises';
+import { basename, dirname } from 'path';
+import { featureService } from './feature-service.js';
+import { FEATURE_CATEGORIES } from './feature-model.js';
+import { resolveOutputPath, getTimestamp, escapeHtml } from './export-service.js';
+
+// Embedded JSON must not be able to close its <script> element
+function embedJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+const REPORT_STYLE = `
+    * { box-sizing: border-box; }
+    body { font-family: system-ui, sans-serif; max-width: 1000px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    .meta, .empty { color: #666; }
+    pre { white-space: pre-wrap; background: #f6f8fa; padding: 1rem; border-radius: 6px; }
+    .filters { position: sticky; top: 0; background: #fff; padding: 0.75rem 0; border-bottom: 1px solid #ddd; display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: center; }
+    .filters input[type=search] { flex: 1; min-width: 220px; padding: 0.4rem; }
+    .timeline { border-left: 3px solid #ccd; margin: 1.5rem 0 0 0.5rem; padding-left: 1.5rem; }
+    .range { position: relative; margin-bottom: 1.75rem; }
+    .range::before { content: ''; position: absolute; left: -2.05rem; top: 0.35rem; width: 0.9rem; height: 0.9rem; border-radius: 50%; background: #4f6bed; }
+    .range h3 { margin: 0; font-size: 1.05rem; }
+    .range .date { color: #666; font-size: 0.9em; }
+    .feature { margin: 0.5rem 0; }
+    .feature ul, .commits { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+    .category { padding: 0.1rem 0.4rem; border-radius: 4px; background: #eee; font-size: 0.8em; margin-right: 0.3rem; }
+    .added { background: #dcfce7; } .changed { background: #dbeafe; }
+    .fixed { background: #fef9c3; } .removed { background: #fee2e2; }
+    details { margin-top: 0.4rem; }
+    code { font-size: 0.9em; }
+    .hidden { display: none; }`;
+
+// Runs in the browser; reads the embedded data and renders and filters the timeline
+const REPORT_SCRIPT = `
+    const data = JSON.parse(document.getElementById('report-data').textContent);
+    const timeline = document.getElementById('timeline');
+    const search = document.getElementById('search');
+    const author = document.getElementById('author');
+    const categories = [...document.querySelectorAll('input[name=category]')];
+
+    const el = (tag, attrs = {}, children = []) => {
+      const node = document.createElement(tag);
+      Object.entries(attrs).forEach(([key, value]) => key === 'text' ? node.textContent = value : node.setAttribute(key, value));
+      children.forEach(child => child && node.appendChild(child));
+      return node;
+    };
+    const short = ref => /^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) : ref;
+
+    const authors = [...new Set(data.ranges.flatMap(range => range.commits.map(commit => commit.author)))].sort();
+    authors.forEach(name => author.appendChild(el('option', { value: name, text: name })));
+
+    const cards = data.ranges.map(range => {
+      const features = range.features.map(feature => el('div', { class: 'feature', 'data-category': feature.category }, [
+        el('span', { class: 'category ' + feature.category, text: feature.category }),
+        el('strong', { text: feature.title }),
+        feature.details.length ? el('ul', {}, feature.details.map(detail => el('li', { text: detail }))) : null
+      ]));
+      const card = el('section', { class: 'range' }, [
+        el('h3', { text: (range.label ? range.label + ': ' : '') + short(range.from) + ' \\u2192 ' + short(range.to) }),
+        el('div', { class: 'date', text: range.date ? new Date(range.date).toLocaleString() : '' }),
+        ...(features.length ? features : [el('p', { class: 'empty', text: 'No features extracted' })]),
+        range.commits.length ? el('details', {}, [
+          el('summary', { text: range.commits.length + ' commit' + (range.commits.length === 1 ? '' : 's') }),
+          el('ul', { class: 'commits' }, range.commits.map(commit => el('li', {}, [
+            el('code', { text: commit.hash.slice(0, 7) }),
+            document.createTextNode(' ' + commit.subject + ' \\u2014 ' + commit.author + ', ' + new Date(commit.date).toLocaleDateString())
+          ])))
+        ]) : null,
+        range.files.length ? el('details', {}, [
+          el('summary', { text: range.files.length + ' changed file' + (range.files.length === 1 ? '' : 's') }),
+          el('ul', { class: 'commits' }, range.files.map(file => el('li', {}, [el('code', { text: file })])))
+        ]) : null
+      ]);
+      timeline.appendChild(card);
+      return { range, card, features };
+    });
+
+    const applyFilters = () => {
+      const terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+      const selected = new Set(categories.filter(box => box.checked).map(box => box.value));
+      let shown = 0;
+
+      for (const { range, card, features } of cards) {
+        const byAuthor = !author.value || range.commits.some(commit => commit.author === author.value);
+        let visibleFeatures = 0;
+        features.forEach((node, i) => {
+          const feature = range.features[i];
+          const text = [feature.title, ...feature.details, ...feature.files, range.from, range.to,
+            ...range.files, ...range.commits.flatMap(commit => [commit.subject, commit.author, commit.hash])].join(' ').toLowerCase();
+          const visible = selected.has(feature.category) && terms.every(term => text.includes(term));
+          node.classList.toggle('hidden', !visible);
+          if (visible) visibleFeatures++;
+        });
+        const unfiltered = terms.length === 0 && selected.size === categories.length;
+        const visible = byAuthor && (visibleFeatures > 0 || (features.length === 0 && unfiltered));
+        card.classList.toggle('hidden', !visible);
+        if (visible) shown++;
+      }
+      document.getElementById('count').textContent = shown + ' of ' + cards.length + ' ranges';
+    };
+
+    [search, author, ...categories].forEach(input => input.addEventListener('input', applyFilters));
+    applyFilters();`;
+
+export function renderReport(data) {
+  const title = `${basename(data.repoPath)} feature timeline`;
+  const categoryFilters = FEATURE_CATEGORIES.map(category =>
+    `<label><input type="checkbox" name="category" value="${category}" checked> ${category}</label>`).join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${escapeHtml(data.repoPath)} &middot; ${escapeHtml(data.projectType)} &middot; generated ${escapeHtml(data.generatedAt)}</p>
+${data.summary ? `  <h2>Summary</h2>\n  <pre>${escapeHtml(data.summary.trim())}</pre>\n` : ''}  <h2>Timeline</h2>
+  <div class="filters">
+    <input type="search" id="search" placeholder="Search features, files, commits, authors">
+    <span>
+      ${categoryFilters}
+    </span>
+    <select id="author"><option value="">All authors</option></select>
+    <span id="count" class="meta"></span>
+  </div>
+  <div class="timeline" id="timeline"></div>
+  <script type="application/json" id="report-data">${embedJson({ ranges: data.ranges })}</script>
+  <script>${REPORT_SCRIPT}
+  </script>
+</body>
+</html>
+`;
+}
+
+export class ReportService {
+  // Path is a file or directory relative to the repository, as for /export
+  async generate(repoPath, projectType, { path = null } = {}) {
+    if (featureService.ranges.length === 0) {
+      throw new Error('No analyzed ranges. Use /commit or /tag first.');
+    }
+
+    if (!featureService.features && featureService.allFeatures.length > 0) {
+      await featureService.consolidateFeatures();
+    }
+
+    const ranges = [...featureService.ranges].reverse();
+
+    const html = renderReport({
+      repoPath,
+      projectType,
+      generatedAt: new Date().toISOString(),
+      summary: featureService.features,
+      ranges
+    });
+
+    const reportFile = await resolveOutputPath(repoPath, path, `${basename(repoPath)}-report-${getTimestamp()}.html`);
+    await fs.mkdir(dirname(reportFile), { recursive: true });
+    await fs.writeFile(reportFile, html);
+    return { path: reportFile, ranges: ranges.length };
+  }
+}
+
+export const reportService = new ReportService();
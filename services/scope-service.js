@@ -0,0 +1,100 @@
+/**
+ * Path scope service for monorepos
+ *
+ * Implementation:
+ * - Restricts git log, diff, rev-list and ls-files to a set of repository subdirectories
+ *   by appending a pathspec ("-- <path>...") to every history command
+ * - Detects the project type of each scope from its own files rather than the repository's
+ * - Resolves a changed file to the innermost scope containing it
+ * - Attributes features to scopes by their files, for one feature document per package
+ *
+ * Data structures:
+ * - Scope: {path: string (relative, forward slashes), projectType: string, files: number}
+ */
+
+import { resolve, relative, sep } from 'path';
+import { detectProjectType } from './project-analyzer.js';
+
+// Repository-relative path with forward slashes and no trailing slash; null outside the repository
+function normalizeScopePath(repoPath, path) {
+  const relativePath = relative(repoPath, resolve(repoPath, path)).split(sep).join('/');
+  return relativePath.startsWith('..') || relativePath === '' ? null : relativePath;
+}
+
+function isInScope(filePath, scopePath) {
+  return filePath === scopePath || filePath.startsWith(`${scopePath}/`);
+}
+
+export class ScopeService {
+  constructor() {
+    this.repoPath = null;
+    this.scopes = [];
+  }
+
+  setRepository(repoPath) {
+    this.repoPath = repoPath;
+    this.scopes = [];
+  }
+
+  // Replaces the scope set; every path must be a repository subdirectory with tracked files
+  async set(git, paths) {
+    const normalized = [];
+    for (const path of paths) {
+      const scopePath = normalizeScopePath(this.repoPath, path);
+      if (!scopePath) {
+        throw new Error(`Scope '${path}' must be a subdirectory of the repository`);
+      }
+      if (!normalized.includes(scopePath)) normalized.push(scopePath);
+    }
+
+    const scopes = [];
+    for (const scopePath of normalized) {
+      const files = (await git.raw(['ls-files', '--', scopePath])).split('\n').filter(Boolean);
+      if (files.length === 0) {
+        throw new Error(`No tracked files under '${scopePath}'`);
+      }
+      // Detection sees the scope's files as if the scope were the repository root
+      const projectType = detectProjectType(files.map(file => file.slice(scopePath.length + 1)));
+      scopes.push({ path: scopePath, projectType, files: files.length });
+    }
+
+    this.scopes = scopes;
+    return scopes;
+  }
+
+  clear() {
+    this.scopes = [];
+  }
+
+  isScoped() {
+    return this.scopes.length > 0;
+  }
+
+  getScopes() {
+    return this.scopes;
+  }
+
+  getPaths() {
+    return this.scopes.map(scope => scope.path);
+  }
+
+  // Arguments to append to git log, diff and rev-list; empty when unscoped
+  getPathspec() {
+    return this.scopes.length > 0 ? ['--', ...this.scopes.map(scope => scope.path)] : [];
+  }
+
+  // Project type shared by all scopes, or the fallback when unscoped or mixed
+  getProjectType(fallback) {
+    const types = new Set(this.scopes.map(scope => scope.projectType));
+    return types.size === 1 ? [...types][0] : fallback;
+  }
+
+  // Innermost scope containing a repository-relative file path
+  getScopeForFile(filePath) {
+    return this.scopes
+      .filter(scope => isInScope(filePath, scope.path))
+      .sort((a, b) => b.path.length - a.path.length)[0] || null;
+  }
+}
+
+export const scopeService = new ScopeService();
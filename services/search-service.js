@@ -0,0 +1,209 @@
+/**
+ * Semantic search index of analyzed features and commit ranges
+ *
+ * Implementation:
+ * - Embeds every extracted feature and every analyzed range (its commit messages and
+ *   changed files) with the configured embeddingModel (llm-service.js embed)
+ * - Keeps one index per repository on disk, shared by all sessions
+ * - Updates incrementally: entries are keyed by their range and text, so only new or
+ *   changed features and ranges are embedded, and a re-analyzed range replaces its entries
+ * - Starts a new index when the embedding provider or model changes, since their
+ *   vectors cannot be compared
+ * - Ranks entries by cosine similarity to the embedded query
+ * - Remembers a failed embedding request for the session, so an unavailable embedding model
+ *   costs one request instead of one per run or question; switching the model clears it
+ * - Serializes writes and replaces the file atomically, as checkpoint-service.js does
+ *
+ * Storage layout:
+ * - $XDG_STATE_HOME/git-to-text/<repo-id>/search-index.json (defaults to ~/.local/state)
+ * - Index: {provider, model, entries: IndexEntry[], updatedAt}
+ * - IndexEntry: {key, kind: feature | range, text, vector: number[], range: {type, from, to, date, label},
+ *   commits: {hash, subject}[], feature: Feature | null}
+ * - SearchResult: IndexEntry without the vector, plus score (cosine similarity)
+ */
+
+import fs from 'fs/promises';
+import { join, dirname } from 'path';
+import { createHash } from 'crypto';
+import { embed } from './llm-service.js';
+import { mapConcurrent } from './worker-pool.js';
+import { getRepositoryId } from './cache-service.js';
+import { getStateRoot } from './checkpoint-service.js';
+import { CONFIG } from './config-service.js';
+
+// Longest text embedded, in characters; embedding models have small context windows
+const MAX_EMBED_LENGTH = 8000;
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex').substring(0, 16);
+}
+
+const getRangeKey = range => `${range.from}..${range.to}`;
+
+function getFeatureText(feature) {
+  return [
+    feature.title,
+    ...feature.details,
+    ...(feature.files.length > 0 ? [`Files: ${feature.files.join(', ')}`] : [])
+  ].join('\n');
+}
+
+function getRangeText(range) {
+  return [
+    ...range.commits.map(commit => [commit.subject, commit.body || ''].join('\n').trim()),
+    ...(range.files.length > 0 ? [`Files: ${range.files.join(', ')}`] : [])
+  ].join('\n');
+}
+
+// Entries a range should have in the index, without vectors
+function getRangeEntries(range) {
+  const rangeInfo = { type: range.type, from: range.from, to: range.to, date: range.date, label: range.label || null };
+  const commits = range.commits.map(commit => ({ hash: commit.hash, subject: commit.subject }));
+  const entry = (kind, text, feature = null) => ({
+    key: `${kind}:${getRangeKey(range)}:${hash(text)}`,
+    kind,
+    text: text.substring(0, MAX_EMBED_LENGTH),
+    range: rangeInfo,
+    commits,
+    feature
+  });
+
+  return [
+    ...range.features.map(feature => entry('feature', getFeatureText(feature), feature)),
+    ...(range.commits.length > 0 || range.files.length > 0 ? [entry('range', getRangeText(range))] : [])
+  ];
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+export class SearchService {
+  constructor(root = getStateRoot()) {
+    this.root = root;
+    this.path = null;
+    this.index = null;
+    this.pending = Promise.resolve();
+    // {model, error} of the last failed embedding request
+    this.failure = null;
+  }
+
+  // Identifies the vectors of the configured provider and model
+  getModelKey() {
+    return `${CONFIG.provider}/${CONFIG.embeddingModel}`;
+  }
+
+  // Error of the failed embedding request that disabled the index for this session, or null
+  getFailure() {
+    return this.failure?.model === this.getModelKey() ? this.failure.error : null;
+  }
+
+  async embed(text) {
+    const failure = this.getFailure();
+    if (failure) throw failure;
+
+    try {
+      return await embed(text);
+    } catch (error) {
+      this.failure = { model: this.getModelKey(), error };
+      throw error;
+    }
+  }
+
+  setRepository(repoPath) {
+    this.path = join(this.root, getRepositoryId(repoPath), 'search-index.json');
+    this.index = null;
+  }
+
+  // The index for the current embedding model, loaded once per repository
+  async load() {
+    if (!this.path) {
+      throw new Error('No repository selected');
+    }
+
+    if (!this.index) {
+      try {
+        this.index = JSON.parse(await fs.readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+        this.index = { entries: [] };
+      }
+    }
+
+    if (this.index.provider !== CONFIG.provider || this.index.model !== CONFIG.embeddingModel) {
+      this.index = { provider: CONFIG.provider, model: CONFIG.embeddingModel, entries: [] };
+    }
+    return this.index;
+  }
+
+  save() {
+    const path = this.path;
+    const content = JSON.stringify({ ...this.index, updatedAt: new Date().toISOString() });
+    this.pending = this.pending.catch(() => {}).then(async () => {
+      await fs.mkdir(dirname(path), { recursive: true });
+      await fs.writeFile(`${path}.tmp`, content);
+      await fs.rename(`${path}.tmp`, path);
+    });
+    return this.pending;
+  }
+
+  // Ranges: analyzed ranges (feature-service.js). Returns {added, removed, total} entry counts
+  async update(ranges) {
+    const index = await this.load();
+    const wanted = ranges.flatMap(getRangeEntries);
+    const wantedKeys = new Set(wanted.map(entry => entry.key));
+    const updatedRanges = new Set(ranges.map(getRangeKey));
+
+    // Entries of re-analyzed ranges that the new analysis no longer produces
+    const kept = index.entries.filter(entry =>
+      !updatedRanges.has(getRangeKey(entry.range)) || wantedKeys.has(entry.key));
+    const keptKeys = new Set(kept.map(entry => entry.key));
+    const missing = wanted.filter(entry => !keptKeys.has(entry.key));
+
+    // One request first, so a missing embedding model fails once instead of once per entry
+    const vectors = missing.length > 0 ? [await this.embed(missing[0].text)] : [];
+    vectors.push(...await mapConcurrent(missing.slice(1), entry => this.embed(entry.text), { concurrency: CONFIG.concurrency }));
+    const added = missing
+      .map((entry, i) => ({ ...entry, vector: vectors[i] }))
+      .filter(entry => entry.vector?.length > 0);
+
+    const removed = index.entries.length - kept.length;
+    index.entries = [...kept, ...added];
+    if (added.length > 0 || removed > 0) await this.save();
+    return { added: added.length, removed, total: index.entries.length };
+  }
+
+  // Returns up to limit SearchResults, most similar first
+  async search(text, limit = 10) {
+    const index = await this.load();
+    if (index.entries.length === 0) {
+      return [];
+    }
+
+    const queryVector = await this.embed(text.substring(0, MAX_EMBED_LENGTH));
+    return index.entries
+      .map(({ vector, ...entry }) => ({ ...entry, score: cosineSimilarity(queryVector, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async stats() {
+    const index = await this.load();
+    return {
+      path: this.path,
+      model: index.model,
+      features: index.entries.filter(entry => entry.kind === 'feature').length,
+      ranges: index.entries.filter(entry => entry.kind === 'range').length
+    };
+  }
+}
+
+export const searchService = new SearchService();
@@ -0,0 +1,256 @@
+/**
+ * Symbol-level change extraction for diffs
+ *
+ * Implementation:
+ * - Finds function, method, class, type and exported constant definitions line by line
+ *   with per-language patterns (JavaScript/TypeScript, Python, Go, Java, Dart)
+ * - Nests definitions by indentation: a symbol lasts until a line indented less, or as much
+ *   unless that line only closes a bracket, so methods are named Class.method
+ * - Compares the symbols of the old and new file contents: new names are added, missing
+ *   names removed, and names whose innermost span contains a changed line modified
+ * - Falls back to the hunks alone when file contents are unavailable: definitions on
+ *   added and removed lines, and the function context git prints after each hunk header
+ *
+ * Data structures:
+ * - Symbol: {name: string, kind: function | method | class | type | constant, exported: boolean}
+ * - FileSymbols: {path: string, language: string, added: Symbol[], removed: Symbol[], modified: Symbol[]}
+ *
+ * Dependencies: diff-parser.js file entries as input
+ */
+
+import { posix } from 'path';
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'javascript',
+  '.tsx': 'javascript',
+  '.py': 'python',
+  '.go': 'go',
+  '.java': 'java',
+  '.dart': 'dart'
+};
+
+// Words that look like a method name in front of "(" but open a statement
+const KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'else', 'do', 'try',
+  'throw', 'super', 'this', 'synchronized', 'await', 'yield', 'typeof', 'function'
+]);
+
+// Per language: [pattern, kind, placement]; the "name" group is the symbol name and an
+// "exported" group, when matched, marks it exported. Placement 'class' only matches directly
+// in a class body, 'outer' at the top level or in a class body, so local helpers and calls
+// inside function bodies are not taken for definitions. Patterns are tried in order
+const PATTERNS = {
+  javascript: [
+    [/^(?<exported>export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(?<name>[A-Za-z_$][\w$]*)/, 'function'],
+    [/^(?<exported>export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(?<name>[A-Za-z_$][\w$]*)/, 'class'],
+    [/^(?<exported>export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+(?<name>[A-Za-z_$][\w$]*)/, 'type'],
+    [/^(?<exported>export\s+)?(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=>)/, 'function', 'outer'],
+    [/^(?<exported>export\s+)(?:const|let|var)\s+(?<name>[A-Za-z_$][\w$]*)/, 'constant', 'outer'],
+    [/^(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?(?<name>#?[A-Za-z_$][\w$]*)\s*\([^;]*$/, 'method', 'class']
+  ],
+  python: [
+    [/^(?:async\s+)?def\s+(?<name>\w+)/, 'function'],
+    [/^class\s+(?<name>\w+)/, 'class']
+  ],
+  go: [
+    [/^func\s+\(\s*(?:\w+\s+)?\*?(?<receiver>\w+)(?:\[[^\]]*\])?\s*\)\s*(?<name>\w+)/, 'method'],
+    [/^func\s+(?<name>\w+)/, 'function'],
+    [/^type\s+(?<name>\w+)\s+(?:struct|interface)\b/, 'class'],
+    [/^type\s+(?<name>\w+)/, 'type']
+  ],
+  java: [
+    [/^(?:@\w+\s+)*(?:(?<exported>public)\s+|(?:protected|private|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+(?<name>\w+)/, 'class'],
+    [/^(?:(?<exported>public)\s+|(?:protected|private|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s+)?(?:[\w.<>[\]?, ]+\s+)?(?<name>\w+)\s*\([^;]*$/, 'method', 'class']
+  ],
+  dart: [
+    [/^(?:(?:abstract|sealed|base|final|interface)\s+)*(?:class|mixin|enum|extension)\s+(?<name>\w+)/, 'class'],
+    [/^(?:(?:static|external|factory)\s+)*(?:[\w<>?,.[\]]+\s+)?(?:get\s+|set\s+)?(?<name>[A-Za-z_$][\w$.]*)\s*(?:<[^>]*>)?\([^;]*$/, 'function', 'outer']
+  ]
+};
+
+export function getSymbolLanguage(filePath) {
+  return LANGUAGES[posix.extname(filePath).toLowerCase()] || null;
+}
+
+function getIndent(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// Whether a symbol's name is visible outside its file, by each language's convention
+function isExported(language, name, match, topLevel) {
+  const leaf = name.split('.').pop();
+  switch (language) {
+    case 'go':
+      return /^[A-Z]/.test(leaf);
+    case 'python':
+    case 'dart':
+      // Top-level names without a leading underscore are importable
+      return topLevel && !leaf.startsWith('_');
+    default:
+      return Boolean(match.groups.exported);
+  }
+}
+
+// Definition on a trimmed line, given the kind of symbol enclosing it (or null)
+function matchDefinition(language, text, parentKind) {
+  for (const [pattern, kind, placement] of PATTERNS[language]) {
+    if (placement === 'class' && parentKind !== 'class') continue;
+    if (placement === 'outer' && parentKind !== null && parentKind !== 'class') continue;
+    const match = text.match(pattern);
+    if (!match || KEYWORDS.has(match.groups.name)) continue;
+    // Functions declared directly in a class body are its methods
+    const symbolKind = kind === 'function' && parentKind === 'class' ? 'method' : kind;
+    return { match, kind: symbolKind };
+  }
+  return null;
+}
+
+// Definitions of a file with their line spans (1-based, inclusive)
+export function parseSymbols(content, language) {
+  const lines = content.split('\n');
+  const symbols = [];
+  const open = [];
+
+  lines.forEach((line, i) => {
+    const text = line.trim();
+    if (!text) return;
+    const indent = getIndent(line);
+    const closesBracket = /^[}\])]/.test(text);
+
+    while (open.length > 0) {
+      const top = open[open.length - 1];
+      if (indent > top.indent || (indent === top.indent && closesBracket)) break;
+      top.end = i;
+      open.pop();
+    }
+
+    const parent = open[open.length - 1] || null;
+    const definition = matchDefinition(language, text, parent?.kind || null);
+    if (!definition) return;
+
+    const { match, kind } = definition;
+    const receiver = match.groups.receiver;
+    const prefix = receiver || (parent && parent.kind === 'class' ? parent.name : null);
+    const name = prefix ? `${prefix}.${match.groups.name}` : match.groups.name;
+    const symbol = { name, kind, exported: isExported(language, name, match, !parent), indent, start: i + 1, end: lines.length };
+    symbols.push(symbol);
+    open.push(symbol);
+  });
+
+  return symbols;
+}
+
+// Old and new line numbers of a file's removed and added lines
+function getChangedLines(file) {
+  const removed = [];
+  const added = [];
+  for (const hunk of file.hunks) {
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    for (const line of hunk.lines) {
+      if (line[0] === '-') removed.push(oldLine++);
+      else if (line[0] === '+') added.push(newLine++);
+      else if (line[0] === ' ') {
+        oldLine++;
+        newLine++;
+      }
+    }
+  }
+  return { removed, added };
+}
+
+function getInnermostSymbol(symbols, line) {
+  return symbols.reduce((innermost, symbol) =>
+    symbol.start <= line && line <= symbol.end && (!innermost || symbol.start >= innermost.start) ? symbol : innermost, null);
+}
+
+const getSymbolKey = symbol => `${symbol.kind} ${symbol.name}`;
+const toSymbol = ({ name, kind, exported }) => ({ name, kind, exported });
+
+function uniqueSymbols(symbols) {
+  const byKey = new Map();
+  for (const symbol of symbols) {
+    if (!byKey.has(getSymbolKey(symbol))) byKey.set(getSymbolKey(symbol), toSymbol(symbol));
+  }
+  return [...byKey.values()];
+}
+
+function compareContents(file, language, oldContent, newContent) {
+  const oldSymbols = oldContent === null ? [] : parseSymbols(oldContent, language);
+  const newSymbols = newContent === null ? [] : parseSymbols(newContent, language);
+  const oldKeys = new Set(oldSymbols.map(getSymbolKey));
+  const newKeys = new Set(newSymbols.map(getSymbolKey));
+
+  const { removed, added } = getChangedLines(file);
+  const touched = [
+    ...removed.map(line => getInnermostSymbol(oldSymbols, line)),
+    ...added.map(line => getInnermostSymbol(newSymbols, line))
+  ].filter(symbol => symbol && oldKeys.has(getSymbolKey(symbol)) && newKeys.has(getSymbolKey(symbol)));
+
+  return {
+    added: uniqueSymbols(newSymbols.filter(symbol => !oldKeys.has(getSymbolKey(symbol)))),
+    removed: uniqueSymbols(oldSymbols.filter(symbol => !newKeys.has(getSymbolKey(symbol)))),
+    modified: uniqueSymbols(touched)
+  };
+}
+
+// Without contents: definitions on changed lines, and the function context of each hunk header
+function compareHunks(file, language) {
+  const sideSymbols = sign => parseSymbols(file.hunks
+    .flatMap(hunk => hunk.lines.filter(line => line[0] === sign).map(line => line.slice(1)))
+    .join('\n'), language);
+  const removedSymbols = sideSymbols('-');
+  const addedSymbols = sideSymbols('+');
+  const removedKeys = new Set(removedSymbols.map(getSymbolKey));
+  const addedKeys = new Set(addedSymbols.map(getSymbolKey));
+
+  const contextSymbols = file.hunks
+    .map(hunk => hunk.header.replace(/^@@[^@]*@@\s*/, ''))
+    .filter(Boolean)
+    .flatMap(context => parseSymbols(context, language));
+
+  return {
+    added: uniqueSymbols(addedSymbols.filter(symbol => !removedKeys.has(getSymbolKey(symbol)))),
+    removed: uniqueSymbols(removedSymbols.filter(symbol => !addedKeys.has(getSymbolKey(symbol)))),
+    modified: uniqueSymbols([
+      ...addedSymbols.filter(symbol => removedKeys.has(getSymbolKey(symbol))),
+      ...contextSymbols
+    ])
+  };
+}
+
+// File: FileDiff (diff-parser.js). Contents are the file before and after the change,
+// null for a side that does not exist; undefined contents fall back to the hunks.
+// Returns FileSymbols, or null for unsupported languages and files without symbol changes
+export function extractFileSymbols(file, oldContent, newContent) {
+  const language = getSymbolLanguage(file.path);
+  if (!language || file.binary) return null;
+
+  const { added, removed, modified } = oldContent === undefined || newContent === undefined
+    ? compareHunks(file, language)
+    : compareContents(file, language, oldContent, newContent);
+  if (added.length + removed.length + modified.length === 0) return null;
+  return { path: file.path, language, added, removed, modified };
+}
+
+// Most symbols listed per change type before the rest are counted
+const MAX_LISTED_SYMBOLS = 15;
+
+function formatSymbolList(symbols) {
+  const listed = symbols.slice(0, MAX_LISTED_SYMBOLS)
+    .map(symbol => `${symbol.exported ? 'exported ' : ''}${symbol.kind} ${symbol.name}`);
+  if (symbols.length > MAX_LISTED_SYMBOLS) listed.push(`${symbols.length - MAX_LISTED_SYMBOLS} more`);
+  return listed.join(', ');
+}
+
+// One-line summary, e.g. "added function parse; modified method Cache.get; removed class Old"
+export function formatFileSymbols(fileSymbols) {
+  return ['added', 'modified', 'removed']
+    .filter(change => fileSymbols[change].length > 0)
+    .map(change => `${change} ${formatSymbolList(fileSymbols[change])}`)
+    .join('; ');
+}
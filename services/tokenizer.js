@@ -0,0 +1,27 @@
+/**
+ * Token estimation and prompt budgeting
+ *
+ * Implementation:
+ * - Estimates token counts from character length (about 4 characters per token
+ *   for English text and code), avoiding a model-specific tokenizer dependency
+ * - Derives prompt budgets from the configured context window, reserving room
+ *   for the response and the fixed part of the prompt
+ */
+
+import { CONFIG } from './config-service.js';
+
+export const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Tokens left for variable content once the response and fixed prompt text are reserved
+export function getContextBudget(fixedText = '') {
+  return Math.max(0, CONFIG.contextWindow - CONFIG.maxTokens - estimateTokens(fixedText));
+}
+
+// Preferred chunk size capped by what actually fits in the context window
+export function getChunkBudget(preferredTokens, fixedText = '') {
+  return Math.max(1, Math.min(preferredTokens, getContextBudget(fixedText)));
+}
@@ -0,0 +1,102 @@
+/**
+ * Bounded concurrency helpers
+ *
+ * Implementation:
+ * - mapConcurrent runs a worker over items with at most N tasks in flight, pulling the
+ *   next item only when a slot frees up, and returns results in input order
+ * - createLimiter caps concurrent calls to a shared resource (LLM requests) across
+ *   nested pools, reading its limit on every acquire so config changes apply live
+ * - withOutputBuffer collects streamed output of a task and writes it in one piece when
+ *   the task ends, so concurrent tasks do not interleave on the terminal
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const outputContext = new AsyncLocalStorage();
+
+// Writes to the current task's buffer, or straight to stdout outside buffered tasks
+export function writeOutput(text) {
+  const buffer = outputContext.getStore();
+  if (buffer) {
+    buffer.push(text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+// Nested buffers flush into their parent task's buffer
+export async function withOutputBuffer(fn) {
+  const parent = outputContext.getStore();
+  const buffer = [];
+  try {
+    return await outputContext.run(buffer, fn);
+  } finally {
+    const text = buffer.join('');
+    if (text && parent) {
+      parent.push(text);
+    } else if (text) {
+      process.stdout.write(text);
+    }
+  }
+}
+
+// Options: concurrency (default 1), buffered (default: concurrency > 1),
+// shouldStop: checked before each new item; items never started stay undefined in the results
+export async function mapConcurrent(items, worker, options = {}) {
+  const concurrency = Math.max(1, Math.floor(options.concurrency || 1));
+  const buffered = options.buffered ?? concurrency > 1;
+  const shouldStop = options.shouldStop || (() => false);
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      const task = () => worker(items[index], index);
+      results[index] = buffered ? await withOutputBuffer(task) : await task();
+    }
+  };
+
+  // A failing task rejects the whole map; workers stop picking up new items
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    try {
+      await runWorker();
+    } catch (error) {
+      next = items.length;
+      throw error;
+    }
+  }));
+
+  return results;
+}
+
+// onChange(active, queued) is called whenever a slot is taken or released
+export function createLimiter(getLimit, onChange = () => {}) {
+  const waiting = [];
+  const limiter = {
+    active: 0,
+
+    async run(fn) {
+      if (limiter.active >= Math.max(1, getLimit())) {
+        // Released slots are handed over directly, so active already counts this call
+        await new Promise(resolve => waiting.push(resolve));
+      } else {
+        limiter.active++;
+      }
+      onChange(limiter.active, waiting.length);
+
+      try {
+        return await fn();
+      } finally {
+        const resume = waiting.shift();
+        if (resume) {
+          resume();
+        } else {
+          limiter.active--;
+        }
+        onChange(limiter.active, waiting.length);
+      }
+    }
+  };
+  return limiter;
+}
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderRelease } from '../services/changelog-service.js';
+
+const groups = (entries = {}) => ({ added: [], changed: [], fixed: [], removed: [], ...entries });
+
+test('renders the non-empty groups of a release', () => {
+  const release = { version: 'v1.2.0', date: new Date('2024-03-01T12:00:00Z'), groups: groups({ fixed: ['Tag ranges no longer skip the first tag'] }) };
+  assert.equal(renderRelease(release), '## [v1.2.0] - 2024-03-01\n\n### Fixed\n- Tag ranges no longer skip the first tag\n');
+});
+
+test('keeps a release without entries with a no notable changes line', () => {
+  assert.equal(renderRelease({ version: 'v1.2.1', date: null, groups: groups() }), '## [v1.2.1]\n\nNo notable changes.\n');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseArgs } from '../services/cli-service.js';
+
+test('takes the repository path from the first argument', () => {
+  const options = parseArgs(['/repo', '--commit', '5', '--doc', 'FEATURES.md']);
+  assert.equal(options.repo, '/repo');
+  assert.deepEqual(options.steps, [
+    { command: 'commit', args: ['5'] },
+    { command: 'doc', args: ['FEATURES.md'] }
+  ]);
+});
+
+test('rejects a repository path after the flags', () => {
+  assert.throws(() => parseArgs(['--no-stream', '/repo']), /repository path must be the first argument/);
+});
+
+test('does not take a directory as the file of a step', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'git-to-text-'));
+  try {
+    assert.throws(() => parseArgs(['--doc', dir]), /Unexpected argument/);
+    assert.deepEqual(parseArgs([dir, '--doc', '--tag']).steps, [
+      { command: 'doc', args: [] },
+      { command: 'tag', args: [] }
+    ]);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test('keeps modifiers and step options with their step', () => {
+  const options = parseArgs(['/repo', '--commit', '--by', 'week', '--since', '2024-01-01', '--changelog', '--unreleased', 'CHANGES.md']);
+  assert.deepEqual(options.steps, [
+    { command: 'commit', args: ['--by', 'week', '--since', '2024-01-01'] },
+    { command: 'changelog', args: ['--unreleased', 'CHANGES.md'] }
+  ]);
+});
+
+test('only takes a number as the group size of --commit', () => {
+  const options = parseArgs(['/repo', '--commit', '--export', 'json']);
+  assert.deepEqual(options.steps, [
+    { command: 'commit', args: [] },
+    { command: 'export', args: ['json'] }
+  ]);
+});
+
+test('collects config overrides', () => {
+  const options = parseArgs(['/repo', '--lang', 'German', '--set', 'diffChunkTokens=800', '--no-stream', '--scope', 'packages/api']);
+  assert.deepEqual(options.config, { language: 'German', diffChunkTokens: '800', streaming: false });
+  assert.deepEqual(options.scopes, ['packages/api']);
+});
+
+test('requires values for value flags', () => {
+  assert.throws(() => parseArgs(['/repo', '--model']), /--model requires a value/);
+  assert.throws(() => parseArgs(['/repo', '--set', 'novalue']), /--set requires key=value/);
+  assert.throws(() => parseArgs(['/repo', '--unknown']), /Unknown option: --unknown/);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiff, formatDiff, countChanges, describeFileDiff } from '../services/diff-parser.js';
+
+const MODIFIED = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,4 @@ export function start() {
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+ export default a;`;
+
+const RENAMED = `diff --git a/old name.js b/new name.js
+similarity index 92%
+rename from old name.js
+rename to new name.js
+index 3333333..4444444 100644
+--- a/old name.js
++++ b/new name.js
+@@ -2 +2 @@
+-x
++y`;
+
+const ADDED_BINARY = `diff --git a/logo.png b/logo.png
+new file mode 100644
+index 0000000..5555555
+Binary files /dev/null and b/logo.png differ`;
+
+const QUOTED = `diff --git "a/caf\\303\\251.js" "b/caf\\303\\251.js"
+deleted file mode 100644
+index 6666666..0000000
+--- "a/caf\\303\\251.js"
++++ /dev/null
+@@ -1,2 +0,0 @@
+-one
+-two`;
+
+const MODE_CHANGE = `diff --git a/run.sh b/run.sh
+old mode 100644
+new mode 100755`;
+
+test('parses hunks of a modified file', () => {
+  const [file] = parseDiff(MODIFIED);
+  assert.equal(file.path, 'src/app.js');
+  assert.equal(file.status, 'modified');
+  assert.equal(file.hunks.length, 1);
+  assert.deepEqual(
+    { oldStart: file.hunks[0].oldStart, oldLines: file.hunks[0].oldLines, newStart: file.hunks[0].newStart, newLines: file.hunks[0].newLines },
+    { oldStart: 1, oldLines: 3, newStart: 1, newLines: 4 });
+  assert.deepEqual(countChanges(file), { added: 2, removed: 1 });
+});
+
+test('detects renames with their similarity and paths with spaces', () => {
+  const [file] = parseDiff(RENAMED);
+  assert.equal(file.status, 'renamed');
+  assert.equal(file.oldPath, 'old name.js');
+  assert.equal(file.newPath, 'new name.js');
+  assert.equal(file.similarity, 92);
+  assert.equal(describeFileDiff(file), 'file renamed: old name.js -> new name.js (92% similar)');
+});
+
+test('detects added binary files, deleted files and quoted paths', () => {
+  const [binary, deleted] = parseDiff(`${ADDED_BINARY}\n${QUOTED}`);
+  assert.equal(binary.status, 'added');
+  assert.equal(binary.binary, true);
+  assert.equal(binary.path, 'logo.png');
+
+  assert.equal(deleted.status, 'deleted');
+  assert.equal(deleted.path, 'café.js');
+  assert.equal(deleted.newPath, null);
+  assert.equal(describeFileDiff(deleted), 'file deleted: café.js (2 lines removed)');
+});
+
+test('takes the path of a mode change from the diff --git line', () => {
+  const [file] = parseDiff(MODE_CHANGE);
+  assert.equal(file.path, 'run.sh');
+  assert.equal(file.hunks.length, 0);
+  assert.equal(describeFileDiff(file), 'file modified: run.sh (mode 100644 -> 100755)');
+});
+
+test('does not mistake hunk content for a file header', () => {
+  const diff = `diff --git a/notes.md b/notes.md
+--- a/notes.md
++++ b/notes.md
+@@ -1,2 +1,2 @@
+---- a/not-a-file
++--- b/still-content
+ diff --git a/x b/x`;
+  const files = parseDiff(diff);
+  assert.equal(files.length, 1);
+  assert.deepEqual(countChanges(files[0]), { added: 1, removed: 1 });
+});
+
+test('reproduces the original diff text', () => {
+  const diff = [MODIFIED, RENAMED, ADDED_BINARY, QUOTED, MODE_CHANGE].join('\n');
+  assert.equal(formatDiff(parseDiff(diff)), diff);
+});
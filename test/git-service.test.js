@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { simpleGit } from 'simple-git';
+import { parseTrailers, getBucketLabel, getTimeBucketDiffs } from '../services/git-service.js';
+
+test('parses the trailer block at the end of a commit body', () => {
+  const body = 'Explain the change.\n\nSigned-off-by: Ada <ada@example.com>\nCo-authored-by: Bo <bo@example.com>\nFixes: #12';
+  assert.deepEqual(parseTrailers(body), [
+    { key: 'Signed-off-by', value: 'Ada <ada@example.com>' },
+    { key: 'Co-authored-by', value: 'Bo <bo@example.com>' },
+    { key: 'Fixes', value: '#12' }
+  ]);
+});
+
+test('does not take a closing sentence for a trailer', () => {
+  assert.deepEqual(parseTrailers('Note: this is prose'), []);
+  assert.deepEqual(parseTrailers('Some context.\n\nTODO: handle retries later'), []);
+});
+
+test('ignores a last paragraph that mixes trailers and prose', () => {
+  assert.deepEqual(parseTrailers('Reviewed-by: Ada\nand some more words'), []);
+});
+
+test('joins indented continuation lines to their trailer', () => {
+  assert.deepEqual(parseTrailers('Body.\n\nReviewed-by: Ada\n  on behalf of the team'), [
+    { key: 'Reviewed-by', value: 'Ada on behalf of the team' }
+  ]);
+});
+
+test('adds issue references from the subject and body once', () => {
+  assert.deepEqual(parseTrailers('This closes #7 as well.', 'Fix login, fixes org/repo#3'), [
+    { key: 'Fixes', value: 'org/repo#3' },
+    { key: 'Closes', value: '#7' }
+  ]);
+  assert.deepEqual(parseTrailers('Closes: #7\n', 'closes #7'), [{ key: 'Closes', value: '#7' }]);
+});
+
+test('labels day, month and quarter buckets in local time', () => {
+  const date = new Date(2024, 4, 7, 23, 30);
+  assert.equal(getBucketLabel(date, 'day'), '2024-05-07');
+  assert.equal(getBucketLabel(date, 'month'), '2024-05');
+  assert.equal(getBucketLabel(date, 'quarter'), '2024-Q2');
+});
+
+test('labels ISO weeks, which start on Monday and may belong to another year', () => {
+  assert.equal(getBucketLabel(new Date(2024, 2, 4), 'week'), '2024-W10');
+  assert.equal(getBucketLabel(new Date(2024, 2, 10), 'week'), '2024-W10');
+  assert.equal(getBucketLabel(new Date(2024, 2, 11), 'week'), '2024-W11');
+  assert.equal(getBucketLabel(new Date(2021, 0, 3), 'week'), '2020-W53');
+  assert.equal(getBucketLabel(new Date(2024, 11, 30), 'week'), '2025-W01');
+  assert.equal(getBucketLabel(new Date(2026, 11, 31), 'week'), '2026-W53');
+});
+
+test('rejects unknown bucket units', () => {
+  assert.throws(() => getBucketLabel(new Date(), 'year'), /Unknown time bucket 'year'/);
+});
+
+// Commits one file change per [authorDate, committerDate] pair in a new repository
+async function createRepo(dates) {
+  const dir = await fs.mkdtemp(join(os.tmpdir(), 'git-to-text-'));
+  const git = simpleGit(dir);
+  await git.init();
+  await git.addConfig('user.name', 'Test').addConfig('user.email', 'test@example.com');
+  for (const [i, [authorDate, committerDate]] of dates.entries()) {
+    await fs.writeFile(join(dir, 'app.js'), `export const version = ${i};\n`);
+    await git.add('app.js');
+    await git.env({ ...process.env, GIT_AUTHOR_DATE: authorDate, GIT_COMMITTER_DATE: committerDate })
+      .commit(`Change ${i}`);
+  }
+  return { dir, git };
+}
+
+test('buckets commits by committer date and merges buckets that share a label', async () => {
+  const { dir, git } = await createRepo([
+    ['2024-01-10T12:00:00', '2024-01-10T12:00:00'],
+    ['2024-01-11T12:00:00', '2024-03-05T12:00:00'],
+    ['2024-03-06T12:00:00', '2024-01-20T12:00:00'],
+    ['2024-04-01T12:00:00', '2024-04-01T12:00:00']
+  ]);
+  try {
+    const diffs = await getTimeBucketDiffs(git, 'javascript', 'month');
+    assert.deepEqual(diffs.map(diff => [diff.bucket, diff.commits.map(commit => commit.subject)]), [
+      ['2024-01', ['Change 2', 'Change 1', 'Change 0']],
+      ['2024-04', ['Change 3']]
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { query, chat, setProvider, toggleStreaming } from '../services/llm-service.js';
+import { configService } from '../services/config-service.js';
+import { getChunkBudget } from '../services/tokenizer.js';
+
+// Records request bodies and answers like Ollama's generate and chat endpoints,
+// failing the first `failures` requests with a server error
+let server;
+let requests = [];
+let failures = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      if (failures > 0) {
+        failures--;
+        res.statusCode = 500;
+        return res.end('{}');
+      }
+      res.end(JSON.stringify(req.url.endsWith('chat')
+        ? { message: { content: 'answer' }, done: true }
+        : { response: 'answer', done: true }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  setProvider('ollama', `http://127.0.0.1:${server.address().port}/`, 'test-model');
+  toggleStreaming(false);
+});
+
+after(() => {
+  server.close();
+  ['provider', 'endpoint', 'model', 'streaming', 'contextWindow', 'maxTokens', 'retryAttempts', 'retryDelay', 'concurrency']
+    .forEach(key => configService.unset(key));
+});
+
+afterEach(() => {
+  requests = [];
+  failures = 0;
+});
+
+test('sends the context window and response budget to Ollama in options', async () => {
+  configService.set('contextWindow', '8192');
+  configService.set('maxTokens', '1024');
+
+  assert.equal(await query('prompt'), 'answer');
+  assert.equal(await chat([{ role: 'user', content: 'question' }]), 'answer');
+
+  assert.deepEqual(requests.map(request => request.url), ['/api/generate', '/api/chat']);
+  for (const { body } of requests) {
+    assert.equal(body.options.num_ctx, 8192);
+    assert.equal(body.options.num_predict, 1024);
+    assert.equal(body.max_tokens, undefined);
+    assert.equal(body.num_ctx, undefined);
+  }
+});
+
+test('trims prompts to the context window minus the response budget', async () => {
+  configService.set('contextWindow', '300');
+  configService.set('maxTokens', '100');
+  const budget = getChunkBudget(Number.MAX_SAFE_INTEGER);
+
+  await query('x'.repeat(5000));
+  assert.equal(requests[0].body.options.num_ctx, 300);
+  assert.equal(requests[0].body.options.num_predict, 100);
+  assert.ok(requests[0].body.prompt.length <= budget * 4);
+  assert.ok(requests[0].body.prompt.length < 5000);
+});
+
+test('makes one attempt when retries are turned off', async () => {
+  configService.set('retryAttempts', '0');
+  failures = 1;
+  await assert.rejects(query('prompt'), /status: 500/);
+  assert.equal(requests.length, 1);
+});
+
+test('lets other requests run while a failed one waits to retry', async () => {
+  configService.set('retryAttempts', '2');
+  configService.set('retryDelay', '200');
+  configService.set('concurrency', '1');
+  failures = 1;
+
+  const first = query('first');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(await query('second'), 'answer');
+  assert.equal(await first, 'answer');
+  assert.deepEqual(requests.map(request => request.body.prompt), ['first', 'second', 'first']);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiff } from '../services/diff-parser.js';
+import { reduceNoise, formatSkipped } from '../services/noise-filter.js';
+
+function fileDiff(path, header, lines) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    header,
+    ...lines
+  ].join('\n');
+}
+
+test('skips lockfiles, snapshots, minified and generated files', () => {
+  const diff = [
+    fileDiff('package-lock.json', '@@ -1 +1 @@', ['-a', '+b']),
+    fileDiff('src/__snapshots__/app.test.js.snap', '@@ -1 +1 @@', ['-a', '+b']),
+    fileDiff('dist/app.min.js', '@@ -1 +1 @@', ['-a', '+b']),
+    fileDiff('src/schema.js', '@@ -1,2 +1,2 @@', [' // @generated by schema-gen', '-a', '+b']),
+    fileDiff('src/app.js', '@@ -1 +1 @@', ['-a', '+b'])
+  ].join('\n');
+
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.deepEqual(files.map(file => file.path), ['src/app.js']);
+  assert.deepEqual(skipped.map(({ path, reason }) => [path, reason]), [
+    ['package-lock.json', 'lockfile'],
+    ['src/__snapshots__/app.test.js.snap', 'snapshot'],
+    ['dist/app.min.js', 'minified'],
+    ['src/schema.js', 'generated']
+  ]);
+  assert.equal(formatSkipped(skipped.slice(0, 1)), 'package-lock.json (lockfile, 2 lines)');
+});
+
+test('skips files left without hunks by a whitespace-insensitive diff', () => {
+  const diff = 'diff --git a/src/app.js b/src/app.js\nindex 1111111..2222222 100644';
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.equal(files.length, 0);
+  assert.deepEqual(skipped, [{ path: 'src/app.js', reason: 'whitespace', lines: 0 }]);
+});
+
+test('collapses code moved between files', () => {
+  const moved = ['function helper() {', '  return 42;', '}'];
+  const diff = [
+    fileDiff('src/a.js', '@@ -1,4 +1,0 @@', [...moved.map(line => `-${line}`), '-']),
+    fileDiff('src/b.js', '@@ -1,0 +1,4 @@', ['+', ...moved.map(line => `+${line}`)])
+  ].join('\n');
+
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.deepEqual(files.map(file => file.hunks[0].lines), [
+    ['# 4 unchanged lines moved elsewhere'],
+    ['# 4 unchanged lines moved here']
+  ]);
+  assert.deepEqual(skipped.map(({ path, reason, lines }) => [path, reason, lines]), [
+    ['src/a.js', 'moved', 4],
+    ['src/b.js', 'moved', 4]
+  ]);
+});
+
+test('keeps hunks whose changes were not all moved', () => {
+  const diff = [
+    fileDiff('src/a.js', '@@ -1,3 +1,0 @@', ['-function helper() {', '-  return 42;', '-}']),
+    fileDiff('src/b.js', '@@ -1,0 +1,3 @@', ['+function helper() {', '+  return 43;', '+}'])
+  ].join('\n');
+
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.equal(skipped.length, 0);
+  assert.equal(files[1].hunks[0].lines.length, 3);
+});
+
+test('does not take blank-only changes for moved code', () => {
+  const diff = [
+    fileDiff('src/a.js', '@@ -1,3 +1,2 @@', [' const a = 1;', '-', ' const b = 2;']),
+    fileDiff('src/b.js', '@@ -1,2 +1,3 @@', [' const c = 3;', '+', ' const d = 4;'])
+  ].join('\n');
+
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.equal(skipped.length, 0);
+  assert.deepEqual(files.map(file => file.hunks[0].lines.length), [3, 3]);
+});
+
+test('collapses a moved block separated from a removed blank line by context', () => {
+  const moved = ['function helper() {', '  return 42;', '}'];
+  const diff = [
+    fileDiff('src/a.js', '@@ -1,5 +1,1 @@', [...moved.map(line => `-${line}`), ' const a = 1;', '-']),
+    fileDiff('src/b.js', '@@ -1,0 +1,3 @@', moved.map(line => `+${line}`))
+  ].join('\n');
+
+  const { files, skipped } = reduceNoise(parseDiff(diff));
+  assert.deepEqual(files[0].hunks[0].lines, ['# 4 unchanged lines moved elsewhere']);
+  assert.deepEqual(skipped.map(({ path, reason }) => [path, reason]), [['src/a.js', 'moved'], ['src/b.js', 'moved']]);
+});
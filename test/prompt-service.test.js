@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { promptService, renderTemplate, BUILTIN_PROMPTS_DIR } from '../services/prompt-service.js';
+
+const VARIABLES = {
+  analyze: ['diff', 'language', 'projectType', 'commitMessages', 'categories'],
+  summarize: ['language'],
+  'update-doc': ['language'],
+  ask: ['summary', 'language'],
+  changelog: ['features', 'commitMessages', 'categories', 'language', 'projectType'],
+  pr: ['features', 'commitMessages', 'untrackedFiles', 'language', 'projectType']
+};
+
+// Only the presets shipped with the tool, not styles added in the user's config dir
+const builtinStyles = () => fs.readdir(BUILTIN_PROMPTS_DIR);
+
+test('substitutes placeholders and leaves unknown ones empty', () => {
+  assert.equal(renderTemplate('{{ a }} and {{b}}.', { a: 1 }), '1 and .');
+});
+
+test('built-in styles only use the variables passed to each template', async () => {
+  for (const style of await builtinStyles()) {
+    for (const [name, variables] of Object.entries(VARIABLES)) {
+      const { template } = await promptService.load(name, style);
+      const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+      assert.deepEqual(used.filter(variable => !variables.includes(variable)), [], `${style}/${name}.md`);
+    }
+  }
+});
+
+test('every built-in style defines its own changelog and pull request prompts', async () => {
+  for (const style of await builtinStyles()) {
+    assert.equal((await promptService.load('changelog', style)).style, style);
+    assert.equal((await promptService.load('pr', style)).style, style);
+  }
+});
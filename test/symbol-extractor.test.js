@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiff } from '../services/diff-parser.js';
+import { parseSymbols, extractFileSymbols, formatFileSymbols } from '../services/symbol-extractor.js';
+
+const names = symbols => symbols.map(symbol => `${symbol.kind} ${symbol.name}`);
+
+test('names methods after their class and ignores calls in function bodies', () => {
+  const source = [
+    'export class Cache {',
+    '  get(key) {',
+    '    return lookup(key);',
+    '  }',
+    '}',
+    'const helper = () => 1;',
+    'export const LIMIT = 10;'
+  ].join('\n');
+  const symbols = parseSymbols(source, 'javascript');
+  assert.deepEqual(names(symbols), ['class Cache', 'method Cache.get', 'function helper', 'constant LIMIT']);
+  assert.deepEqual(symbols.map(symbol => [symbol.start, symbol.end]), [[1, 5], [2, 4], [6, 6], [7, 7]]);
+  assert.deepEqual(symbols.map(symbol => symbol.exported), [true, false, false, true]);
+});
+
+test('marks only top-level Python names as exported', () => {
+  const source = ['class Service:', '    def start(self):', '        def inner():', '            pass', 'def _private():', '    pass'].join('\n');
+  const symbols = parseSymbols(source, 'python');
+  assert.deepEqual(names(symbols), ['class Service', 'method Service.start', 'function inner', 'function _private']);
+  assert.deepEqual(symbols.map(symbol => symbol.exported), [true, false, false, false]);
+});
+
+test('compares old and new contents', () => {
+  const oldContent = ['export function keep() {', '  return 1;', '}', 'function gone() {}'].join('\n');
+  const newContent = ['export function keep() {', '  return 2;', '}', 'export function added() {}'].join('\n');
+  const diff = `diff --git a/src/a.js b/src/a.js
+--- a/src/a.js
++++ b/src/a.js
+@@ -1,4 +1,4 @@
+ export function keep() {
+-  return 1;
++  return 2;
+ }
+-function gone() {}
++export function added() {}`;
+
+  const fileSymbols = extractFileSymbols(parseDiff(diff)[0], oldContent, newContent);
+  assert.deepEqual(names(fileSymbols.added), ['function added']);
+  assert.deepEqual(names(fileSymbols.removed), ['function gone']);
+  assert.deepEqual(names(fileSymbols.modified), ['function keep']);
+  assert.equal(formatFileSymbols(fileSymbols), 'added exported function added; modified exported function keep; removed function gone');
+});
+
+test('falls back to the hunks and their function context without contents', () => {
+  const diff = `diff --git a/x.go b/x.go
+--- a/x.go
++++ b/x.go
+@@ -10,3 +10,7 @@ func (s *Server) Start() error {
+ 	a := 1
+-	b := 2
++	b := 3
++}
++
++func NewThing() *Thing {`;
+
+  const fileSymbols = extractFileSymbols(parseDiff(diff)[0], undefined, undefined);
+  assert.deepEqual(names(fileSymbols.added), ['function NewThing']);
+  assert.deepEqual(names(fileSymbols.modified), ['method Server.Start']);
+  assert.equal(fileSymbols.added[0].exported, true);
+});
+
+test('returns null for unsupported languages and unchanged symbols', () => {
+  const diff = 'diff --git a/README.md b/README.md\n--- a/README.md\n+++ b/README.md\n@@ -1 +1 @@\n-a\n+b';
+  assert.equal(extractFileSymbols(parseDiff(diff)[0], 'a', 'b'), null);
+});